@@ -1,6 +1,40 @@
 // ==========================================
-// CONFIGURATION (TEST MODE)
+// CONFIGURATION (ENVIRONMENT PROFILES: SECTION 17)
 // ==========================================
+// Everything that differs per environment or unit - collection root, Gmail query / label, which senders or Gmail
+// labels belong to it, extraction backend - comes from a profile. Built-ins below; more (or overrides) in the
+// Firestore document config/unit_profiles or the Script Property UNIT_PROFILES. ACTIVE_PROFILES (Script Properties,
+// else the document's "active", else "test") lists the profiles this deployment serves; processLabReports runs each in turn.
+// The dashboard picks its unit from the same document at login; loadProfiles adds the built-ins to it, so the dashboard
+// keeps no copy of them.
+// Project setup not kept in this repo (the appsscript.json manifest lives in the Apps Script project): the FirestoreApp
+// library, and the Drive API advanced service v2 (Services > Drive API, identifier "Drive") for extractReportText.
+const BUILT_IN_PROFILES = {
+  test: { name: 'NICU (Test)', collectionRoot: 'nicu-dashboard-hybrid-test', label: 'Charted' },
+  prod: { name: 'NICU', collectionRoot: 'nicu-dashboard-hybrid', label: 'Charted' }
+};
+const DEFAULT_PROFILE_ID = 'test';
+// CONFIG.path* for a profile: artifacts/<collectionRoot>/<path>
+const PROFILE_COLLECTIONS = {
+  pathPatients: 'public/data/patients',
+  pathCharts: 'public/data/medical_charts',
+  pathInbox: 'public/data/lab_inbox',
+  pathBrain: 'config/gemini_brain',
+  pathDictionary: 'config/parameter_dictionary',
+  pathNotifications: 'public/data/notifications',
+  pathLedger: 'public/data/attachment_ledger',
+  pathDryRuns: 'public/data/dry_runs',
+  pathAliases: 'public/data/patient_aliases',
+  pathCultures: 'public/data/cultures',
+  pathFhirExports: 'public/data/fhir_exports',
+  pathUploads: 'public/data/lab_uploads',
+  pathDigests: 'public/data/handover_digests',
+  pathExtractionRuns: 'public/data/extraction_runs',
+  pathTemplates: 'config/lab_templates',
+  pathBilirubin: 'config/bilirubin_thresholds',
+  pathTemplateTests: 'public/data/template_tests'
+};
+
 const CONFIG = {
   email: "firebase-adminsdk-fbsvc@nicucounselingsheet.iam.gserviceaccount.com",
   // Store your private key in Project Settings > Script Properties with key 'FIREBASE_KEY'
@@ -8,22 +42,67 @@ const CONFIG = {
   projectId: "nicucounselingsheet",
   // Store your API key in Project Settings > Script Properties with key 'GEMINI_API_KEY'
   geminiApiKey: PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY'),
+  // Extraction backend (Script Properties). EXTRACTION_PROVIDER: gemini | openai | ollama (default gemini).
+  // EXTRACTION_MODEL overrides the provider default, EXTRACTION_BASE_URL points at an OpenAI-compatible or Ollama server,
+  // EXTRACTION_API_KEY is sent as a Bearer token (Gemini falls back to GEMINI_API_KEY). A profile's "extraction" overrides these.
+  // Batch sizing (section 18): EXTRACTION_MAX_BATCH_FILES (default 10), EXTRACTION_MAX_REQUEST_MB (encoded request size,
+  // default 18 - Gemini rejects inline requests over 20 MB), EXTRACTION_MAX_BATCH_TOKENS (estimated tokens in + out, default 60000).
+  // EXTRACTION_PRICE_INPUT / EXTRACTION_PRICE_OUTPUT: USD per million tokens for the run metrics (default EXTRACTION_PRICES).
+  // EXTRACTION_MIN_CONFIDENCE: values the model rates below this (0-1, default 0.8) go to the Inbox instead of the chart (0 = off).
+  extraction: {
+    provider: PropertiesService.getScriptProperties().getProperty('EXTRACTION_PROVIDER') || 'gemini',
+    model: PropertiesService.getScriptProperties().getProperty('EXTRACTION_MODEL') || '',
+    baseUrl: PropertiesService.getScriptProperties().getProperty('EXTRACTION_BASE_URL') || '',
+    apiKey: PropertiesService.getScriptProperties().getProperty('EXTRACTION_API_KEY') || '',
+    maxBatchFiles: parseInt(PropertiesService.getScriptProperties().getProperty('EXTRACTION_MAX_BATCH_FILES'), 10) || 10,
+    maxRequestMb: parseFloat(PropertiesService.getScriptProperties().getProperty('EXTRACTION_MAX_REQUEST_MB')) || 18,
+    maxBatchTokens: parseInt(PropertiesService.getScriptProperties().getProperty('EXTRACTION_MAX_BATCH_TOKENS'), 10) || 60000,
+    priceInput: parseFloat(PropertiesService.getScriptProperties().getProperty('EXTRACTION_PRICE_INPUT')),
+    priceOutput: parseFloat(PropertiesService.getScriptProperties().getProperty('EXTRACTION_PRICE_OUTPUT')),
+    minConfidence: parseFloat(PropertiesService.getScriptProperties().getProperty('EXTRACTION_MIN_CONFIDENCE') || '0.8')
+  },
+  // Set by useProfile (section 17); the default profile until then
+  profile: DEFAULT_PROFILE_ID,
+  profileName: BUILT_IN_PROFILES[DEFAULT_PROFILE_ID].name,
+  unitLabel: "", // Profile name when the deployment serves several units (email subjects / titles)
+  collectionRoot: BUILT_IN_PROFILES[DEFAULT_PROFILE_ID].collectionRoot,
   emailQuery: 'has:attachment -label:Charted',
-  pathPatients: 'artifacts/nicu-dashboard-hybrid-test/public/data/patients',
-  pathCharts: 'artifacts/nicu-dashboard-hybrid-test/public/data/medical_charts',
-  pathInbox: 'artifacts/nicu-dashboard-hybrid-test/public/data/lab_inbox',
-  pathBrain: 'artifacts/nicu-dashboard-hybrid-test/config/gemini_brain',
-  pathNotifications: 'artifacts/nicu-dashboard-hybrid-test/public/data/notifications'
+  label: 'Charted', // Gmail label for processed threads
+  ...profilePaths(BUILT_IN_PROFILES[DEFAULT_PROFILE_ID].collectionRoot),
+  // Ward handover digest (Script Properties). DIGEST_TIMES: "07:30,19:30" (script time zone; re-run setupDigestTriggers
+  // after changing it). DIGEST_RECIPIENTS (optional): JSON { "N1": "n1-team@...", "*": "consultants@..." } or a plain
+  // address list for every ward - without it the digest is only stored for the dashboard.
+  digest: {
+    times: (PropertiesService.getScriptProperties().getProperty('DIGEST_TIMES') || '07:30,19:30').split(',').map(t => t.trim()).filter(Boolean),
+    recipients: PropertiesService.getScriptProperties().getProperty('DIGEST_RECIPIENTS') || ''
+  },
+  // Notification follow-up (Script Properties). NOTIFY_ESCALATE_MINUTES: a high-severity notification nobody has
+  // acknowledged by then is escalated (default 30). NOTIFY_ESCALATION_RECIPIENTS: same format as DIGEST_RECIPIENTS,
+  // emailed on escalation. NOTIFY_RETENTION_DAYS: acknowledged (and info) notifications older than this are purged (default 30).
+  notifications: {
+    escalateAfterMinutes: parseInt(PropertiesService.getScriptProperties().getProperty('NOTIFY_ESCALATE_MINUTES'), 10) || 30,
+    escalationRecipients: PropertiesService.getScriptProperties().getProperty('NOTIFY_ESCALATION_RECIPIENTS') || '',
+    retentionDays: parseInt(PropertiesService.getScriptProperties().getProperty('NOTIFY_RETENTION_DAYS'), 10) || 30
+  },
+  maxAttachmentAttempts: 3 // After this many failed runs an attachment moves to the dead-letter list
+  // HL7 / CSV web app endpoint (doPost): callers must send ?token= matching Script Property 'INGEST_TOKEN'
 };
 
 const firestore = FirestoreApp.getFirestore(CONFIG.email, CONFIG.key, CONFIG.projectId);
+// Deployment-wide values a profile may override (restored for profiles that don't)
+const DEPLOYMENT_DEFAULTS = {
+  extraction: { ...CONFIG.extraction },
+  digestRecipients: CONFIG.digest.recipients,
+  escalationRecipients: CONFIG.notifications.escalationRecipients
+};
 
 // ==========================================
 // MAIN TRIGGER FUNCTION
 // ==========================================
 function setupTrigger() {
   // 1. Run this function ONCE manually to start the automation.
-  // 2. It creates a "Time-Driven" trigger that runs processLabReports every 5 minutes.
+  // 2. It creates a "Time-Driven" trigger that runs processLabReports every 5 minutes,
+  //    plus the daily ward handover digest triggers (section 15) and the notification escalation / retention jobs (section 16).
   
   const triggers = ScriptApp.getProjectTriggers();
   const triggerName = 'processLabReports';
@@ -31,11 +110,13 @@ function setupTrigger() {
   // Prevent creating duplicates
   if (triggers.some(t => t.getHandlerFunction() === triggerName)) {
     console.log("Trigger already exists.");
-    return;
+  } else {
+    ScriptApp.newTrigger(triggerName).timeBased().everyMinutes(5).create();
+    console.log("Automation started! Checking emails every 5 minutes.");
   }
 
-  ScriptApp.newTrigger(triggerName).timeBased().everyMinutes(5).create();
-  console.log("Automation started! Checking emails every 5 minutes.");
+  setupDigestTriggers();
+  setupNotificationTriggers();
 }
 
 function processLabReports() {
@@ -47,25 +128,46 @@ function processLabReports() {
   }
 
   try {
+    const startTime = Date.now();
+    // One unit after the other, sharing the time budget. A dry run plans one unit at a time (dryRunLabReports switches the profile).
+    const runUnit = () => {
+      try {
+        if (!DRY_RUN_PLAN) runTemplateTests(); // Template editor test requests (section 19)
+        if (!DRY_RUN_PLAN) runFhirExportRequests(); // FHIR downloads requested from the dashboard (section 12)
+        processUnitLabReports(startTime);
+      } catch (e) { console.error(`Critical Execution Error (${CONFIG.profile}):`, e); }
+    };
+    if (DRY_RUN_PLAN) runUnit(); else forEachProfile(runUnit);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// One unit's run (CONFIG already switched to its profile): Gmail, dead-letter retries and dashboard uploads
+function processUnitLabReports(startTime) {
   // Ensure the label exists to mark processed emails without deleting them
-  const labelName = "Charted";
+  const labelName = CONFIG.label;
   let label = GmailApp.getUserLabelByName(labelName);
-  if (!label) label = GmailApp.createLabel(labelName);
+  if (!label && !DRY_RUN_PLAN) label = GmailApp.createLabel(labelName);
 
   // Cleanup old label if exists to prevent dual labeling
   const oldLabel = GmailApp.getUserLabelByName("NICU_PROCESSED");
 
-  // BATCHING CONFIGURATION
+  // BATCHING CONFIGURATION (extraction batches are sized by bytes and tokens, see section 18)
   const EMAIL_BATCH_SIZE = 15; // Process max 15 threads per execution
-  const GEMINI_BATCH_SIZE = 10; // Send 10 PDFs per API request (User Request)
-  const MAX_EXECUTION_TIME = 240000; // 4 minutes (Safe buffer within Google's 6-min limit)
-  const startTime = Date.now();
+  const MAX_EXECUTION_TIME = 270000; // 4.5 minutes (buffer within Google's 6-min limit; no batch starts without time to finish)
+  if (Date.now() - startTime > MAX_EXECUTION_TIME) {
+    console.log(`⏳ Time limit reached before ${CONFIG.profileName}. Will resume in next run.`);
+    return;
+  }
 
   // Fetch only a batch of threads (0 to BATCH_SIZE)
   const threads = GmailApp.search(CONFIG.emailQuery, 0, EMAIL_BATCH_SIZE);
+  // Dead-letter attachments the dashboard asked us to try again
+  const retryEntries = getLedgerRetryRequests();
   
-  if (threads.length === 0) {
-    console.log("No test emails found.");
+  if (threads.length === 0 && retryEntries.length === 0 && !hasPendingUploads()) {
+    console.log(`No new reports for ${CONFIG.profileName}.`);
     return;
   }
 
@@ -77,23 +179,32 @@ function processLabReports() {
       userInstructions = doc.fields.instructions.stringValue;
       console.log("🧠 Loaded User Instructions for Gemini.");
     }
+    if (DRY_RUN_PLAN && doc && doc.fields && doc.fields.draftInstructions && doc.fields.draftInstructions.stringValue) {
+      userInstructions = doc.fields.draftInstructions.stringValue;
+      DRY_RUN_PLAN.instructionsSource = 'draft';
+      console.log("🧪 [DRY RUN] Using draft instructions.");
+    }
   } catch (e) { console.log("No custom AI instructions found yet."); }
 
+  // 1. Fetch Parameter Dictionary (aliases, routing, prompt)
+  const dictionary = loadParameterDictionary();
+  const extractionContext = { userInstructions: userInstructions, dictionary: dictionary };
+  loadBilirubinConfig(); // Seeds config/bilirubin_thresholds (the dashboard's nomogram) on the first run
+
   // 1. Fetch Patients
-  const allPatients = firestore.getDocuments(CONFIG.pathPatients).map(doc => {
-    const data = doc.fields;
-    return {
-      id: doc.name.split('/').pop(),
-      name: data.name ? data.name.stringValue : "",
-      ward: data.ward ? data.ward.stringValue : "",
-      serial: data.customSerial ? data.customSerial.integerValue : ""
-    };
-  });
+  const allPatients = loadAllPatients();
+
+  // Names/filenames staff have already assigned by hand (checked before fuzzy matching)
+  const learnedAliases = loadPatientAliases(allPatients);
 
   console.log(`Scanning ${threads.length} threads for PDFs...`);
 
-  let pdfQueue = [];
-  const processedFiles = new Set(); // Track unique files to prevent duplicates
+  const retried = queueLedgerRetries(retryEntries, allPatients, learnedAliases);
+  const processedFiles = new Set(retried.map(q => q.hash)); // Track unique files (content hash) to prevent duplicates
+  // Reports uploaded from the dashboard for a chosen patient (section 14)
+  queuePendingUploads(allPatients, processedFiles).forEach(q => retried.push(q));
+  let pdfQueue = retried.filter(q => !q.format);
+  const structuredQueue = retried.filter(q => q.format); // HL7 / CSV files: parsed here, never sent to the model
 
   for (const thread of threads) {
     // SAFETY CHECK: Stop if we are running out of time
@@ -103,6 +214,7 @@ function processLabReports() {
     }
 
     const messages = thread.getMessages();
+    let threadQueued = 0, threadSkipped = 0;
     
     // 1. Check Subject Line for Patient Match (Priority 1)
     const subject = thread.getFirstMessageSubject(); // Use thread subject
@@ -116,33 +228,55 @@ function processLabReports() {
     // Iterate through ALL messages in the thread to find attachments
     for (const msg of messages) {
       const attachments = msg.getAttachments();
+
+      // Structured results (HL7 v2 ORU / CSV, section 13) are exact and need no model - a message that has them
+      // is read from those alone and its PDFs are only the fallback for messages without.
+      const structured = attachments.filter(a => detectStructuredFormat(a));
       
       // Filter for PDFs and select the smallest one (avoid graphic-heavy duplicates)
-      const pdfs = attachments.filter(a => {
-        const type = a.getContentType().toLowerCase();
-        const name = a.getName().toLowerCase();
-        return type === "application/pdf" || name.endsWith(".pdf");
-      });
+      const pdfs = attachments.filter(a => reportMimeType(a) === "application/pdf");
+      // Photos / scans (WhatsApp JPEGs, TIFF scans) - only read when the message has no PDF
+      const images = attachments.filter(a => { const t = reportMimeType(a); return t && t !== "application/pdf" && a.getSize() >= MIN_REPORT_IMAGE_BYTES; });
       
-      if (pdfs.length > 0) {
+      let candidates = structured.map(a => [a]); // Each candidate is one report: its attachments in page order
+      if (structured.length > 0) {
+        console.log(`[STRUCTURED] ${structured.length} HL7/CSV file(s) in message${pdfs.length ? `; ignoring ${pdfs.length} PDF(s)` : ""}.`);
+      } else if (pdfs.length > 0) {
           // 1. SELECT SMALLEST PDF (Handle Letterhead vs Non-Letterhead duplicates)
           pdfs.sort((a, b) => a.getSize() - b.getSize());
-          const att = pdfs[0]; // Use the smallest file
+          candidates = [[pdfs[0]]]; // Use the smallest file
           
           if (pdfs.length > 1) {
-            console.log(`[SMART SELECT] Selected smallest PDF: "${att.getName()}" (${att.getSize()} bytes). Ignored ${pdfs.length - 1} larger variants (e.g. Letterhead).`);
+            console.log(`[SMART SELECT] Selected smallest PDF: "${pdfs[0].getName()}" (${pdfs[0].getSize()} bytes). Ignored ${pdfs.length - 1} larger variants (e.g. Letterhead).`);
           }
-          
+      } else if (images.length > 0) {
+          // 2. PHOTOS / SCANS: each image is its own report (two babies' photos in one email stay apart), except
+          // images whose names mark them as pages of one report ("CBC page 1.jpg", "CBC page 2.jpg")
+          candidates = groupReportImages(images);
+          console.log(`[IMAGES] ${images.length} image(s) in message read as ${candidates.length} report(s): ${candidates.map(pages => pages.map(a => a.getName()).join(" + ")).join(", ")}`);
+      }
+
+      for (const pages of candidates) {
+          const att = pages[0];
           // DEDUPLICATION: Check if we've already queued this exact file (e.g. from reply chains)
-          const fileSignature = `${att.getName()}_${att.getSize()}`;
-          if (processedFiles.has(fileSignature)) {
+          const hash = computeReportHash(pages);
+          if (processedFiles.has(hash)) {
             console.log(`[DUPLICATE] Skipping "${att.getName()}" (already queued).`);
             continue;
           }
-          processedFiles.add(fileSignature);
+          processedFiles.add(hash);
+
+          // LEDGER: Same content already charted/inboxed in an earlier run (e.g. report forwarded twice)
+          const ledger = getLedgerEntry(hash) || { attempts: 0 };
+          if (LEDGER_FINAL_STATUSES.includes(ledger.status)) {
+            console.log(`[LEDGER] Skipping "${att.getName()}" (already ${ledger.status}).`);
+            threadSkipped++;
+            continue;
+          }
             
+          // 0. Learned alias for this sender + filename pattern (beats fuzzy matching)
           // 2. Check Filename for Patient Match (Priority 2)
-          let currentMatch = messageLevelMatch;
+          let currentMatch = matchLearnedAlias(learnedAliases, { filename: att.getName(), sender: msg.getFrom() }) || messageLevelMatch;
           if (!currentMatch) {
             const fileResult = findBestMatch(att.getName(), allPatients);
             if (fileResult.score > 75) {
@@ -151,277 +285,590 @@ function processLabReports() {
           }
 
           // Add to Queue
-          pdfQueue.push({
+          const format = pages.length === 1 ? detectStructuredFormat(att) : null;
+          (format ? structuredQueue : pdfQueue).push({
             blob: att,
+            pages: pages,
             filename: att.getName(),
+            format: format,
             preMatch: currentMatch,
-            thread: thread
+            thread: thread,
+            messageId: msg.getId(),
+            sender: msg.getFrom(),
+            hash: hash,
+            ledger: ledger
+          });
+          threadQueued++;
+          updateLedgerEntry(hash, {
+            status: 'queued',
+            filename: att.getName(),
+            format: format || reportFormat(pages),
+            size: pages.reduce((sum, a) => sum + a.getSize(), 0),
+            messageId: msg.getId(),
+            threadId: thread.getId(),
+            attachmentIndex: attachments.indexOf(att),
+            attachmentIndexes: pages.map(a => attachments.indexOf(a)), // Every page of a photographed report
+            subject: subject,
+            sender: msg.getFrom(),
+            attempts: ledger.attempts || 0,
+            createdAt: ledger.createdAt || new Date().toISOString()
           });
       }
     }
+
+    // Every PDF in this thread was handled in an earlier run - label it so it stops coming back
+    if (threadQueued === 0 && threadSkipped > 0) {
+      labelThread(thread, label, oldLabel);
+    }
   }
 
-  console.log(`Queued ${pdfQueue.length} PDFs. Processing in batches of ${GEMINI_BATCH_SIZE}...`);
+  const routingContext = { allPatients: allPatients, learnedAliases: learnedAliases, dictionary: dictionary };
+  const threadDone = t => [...structuredQueue, ...pdfQueue].every(q => q.thread !== t || q.done);
 
-  // --- PROCESS BATCHES ---
-  for (let i = 0; i < pdfQueue.length; i += GEMINI_BATCH_SIZE) {
-    const batch = pdfQueue.slice(i, i + GEMINI_BATCH_SIZE);
-    const batchThreads = new Set(); // Track threads for THIS batch only
-    console.log(`🚀 Sending Batch ${Math.floor(i/GEMINI_BATCH_SIZE) + 1} (${batch.length} files) to Gemini...`);
+  // --- STRUCTURED FEEDS FIRST (exact values, no API calls) ---
+  if (structuredQueue.length > 0) console.log(`Queued ${structuredQueue.length} HL7/CSV files. Reading them without the model...`);
+  structuredQueue.forEach(item => processStructuredItem(item, routingContext));
+  new Set(structuredQueue.map(q => q.thread).filter(Boolean)).forEach(t => { if (threadDone(t)) labelThread(t, label, oldLabel); });
 
-    try {
-      // CALL GEMINI WITH MULTIPLE FILES
-      const results = analyzeBatchWithGemini(batch, userInstructions);
+  const extractionProvider = getExtractionProvider();
+  const deadline = startTime + MAX_EXECUTION_TIME;
+  const metrics = startExtractionRun(extractionProvider, deadline, pdfQueue, structuredQueue);
+
+  // --- KNOWN LAB LAYOUTS (section 19): the lab's template reads the PDF's text layer, no model ---
+  const templated = readWithLabTemplates(pdfQueue, loadLabTemplates(), routingContext, deadline);
+  if (templated.length > 0) {
+    metrics.templated = templated.length;
+    templated.forEach(outcome => metrics[outcome.chartDocIds.length > 0 ? 'charted' : 'inboxed']++);
+    new Set(pdfQueue.filter(q => q.done).map(q => q.thread).filter(Boolean)).forEach(t => { if (threadDone(t)) labelThread(t, label, oldLabel); });
+  }
+
+  const remaining = pdfQueue.filter(item => !item.done);
+  console.log(`Queued ${remaining.length} reports (PDFs / images) for ${extractionProvider.name}. Processing in batches of up to ${extractionProvider.limits.files} files / ${Math.round(extractionProvider.limits.requestBytes / 1048576)} MB / ${extractionProvider.limits.tokens} tokens...`);
 
-      if (!results) {
-        console.error(`Batch failed. Skipping batch.`);
+  // --- PROCESS BATCHES ---
+  // No pause between batches: a busy provider is backed off (Retry-After) and, when that would outlast this run,
+  // everything left is deferred to the next one instead of waiting here.
+  try {
+    while (remaining.length > 0) {
+      const cooldown = getExtractionCooldown(extractionProvider);
+      if (cooldown > Date.now()) {
+        console.log(`⏳ [BACKOFF] ${extractionProvider.name} busy until ${new Date(cooldown).toISOString()}. Deferring ${remaining.length} file(s) to a later run.`);
+        remaining.splice(0).forEach(deferQueuedItem);
+        break;
+      }
+      if (deadline - Date.now() < extractionTimeReserve()) {
+        console.log(`⏳ Not enough time left for another batch. Deferring ${remaining.length} file(s) to the next run.`);
+        remaining.splice(0).forEach(deferQueuedItem);
+        break;
+      }
+
+      const batch = takeExtractionBatch(remaining, extractionProvider);
+      const batchThreads = new Set(); // Track threads for THIS batch only
+      const tooLarge = batch.length === 1 && batch[0].oversize && !extractionProvider.uploadsLargeFiles;
+      if (tooLarge) {
+        batch[0].ledger.attempts = CONFIG.maxAttachmentAttempts - 1; // Will never fit: straight to the dead-letter list
+        recordAttachmentFailure(batch[0], [`Too large to send to ${extractionProvider.name} (${(batch[0].size.requestBytes / 1048576).toFixed(1)} MB encoded, limit ${extractionProvider.limits.requestBytes / 1048576} MB)`]);
+        metrics.failed++;
+        if (batch[0].thread && threadDone(batch[0].thread)) labelThread(batch[0].thread, label, oldLabel);
         continue;
       }
+      // A TIFF that won't convert fails alone; the rest of the batch is still sent
+      for (const item of batch.slice()) {
+        const conversionError = prepareReportParts(item);
+        if (!conversionError) continue;
+        console.error(`[IMAGES] "${item.filename}": ${conversionError}`);
+        batch.splice(batch.indexOf(item), 1);
+        recordAttachmentFailure(item, [conversionError]);
+        metrics.failed++;
+        if (item.thread && threadDone(item.thread)) labelThread(item.thread, label, oldLabel);
+      }
+      if (batch.length === 0) continue;
+      const batchSize = batch.reduce((sum, item) => ({ bytes: sum.bytes + item.size.bytes, tokens: sum.tokens + item.size.tokens }), { bytes: 0, tokens: 0 });
+      console.log(`🚀 Sending Batch ${metrics.batches + 1} (${batch.length} files, ${(batchSize.bytes / 1048576).toFixed(1)} MB, ~${batchSize.tokens} tokens) to ${extractionProvider.name} (${extractionProvider.model})...`);
+      metrics.batches++;
+      metrics.sent += batch.length;
+      metrics.bytes += batchSize.bytes;
+      metrics.estimatedTokens += batchSize.tokens;
 
-      // PROCESS EACH RESULT
-      for (let j = 0; j < batch.length; j++) {
-        const item = batch[j];
-        
-        // Match result to file by filename (User confirmed filenames are unique)
-        let labData = results.find(r => r.filename === item.filename);
-        if (!labData) {
-          // Fallback: Try case-insensitive match
-          labData = results.find(r => r.filename && r.filename.toLowerCase() === item.filename.toLowerCase());
+      try {
+        // CALL THE CONFIGURED EXTRACTION PROVIDER WITH MULTIPLE FILES (validated, repaired, retried per file)
+        const extracted = extractBatchWithRetry(batch, extractionContext, deadline);
+
+        adaptBatchScale(extractionProvider, batch, extracted);
+
+        // PROCESS EACH RESULT
+        for (let j = 0; j < batch.length; j++) {
+          const item = batch[j];
+          const { reports, errors, deferred } = extracted[j];
+
+          if (deferred) { deferQueuedItem(item); continue; } // Picked up again by the next run
+          if (reports.length === 0) {
+            recordAttachmentFailure(item, errors);
+            metrics.failed++;
+            batchThreads.add(item.thread);
+            continue;
+          }
+          const outcome = routeExtractedFile(item, reports, errors, `${extractionProvider.name}/${extractionProvider.model}`, routingContext);
+          metrics[outcome.chartDocIds.length > 0 ? 'charted' : 'inboxed']++;
+
+          // Mark thread for labeling
+          batchThreads.add(item.thread);
         }
 
-        if (labData) {
-              let currentMatch = item.preMatch;
-              console.log(`Processing result for: ${item.filename}`);
-
-              // 3. Check PDF Content Name (Priority 3)
-              if (!currentMatch && labData.patientName) {
-                const contentMatch = findBestMatch(labData.patientName, allPatients);
-                if (contentMatch.score > 50) currentMatch = contentMatch; // Lower threshold for content match
-              }
-
-              // Default match if none found
-              if (!currentMatch) currentMatch = { action: 'INBOX', patient: null, score: 0 };
-
-              // Filter out metadata if it snuck into values
-              if (labData.values["Sample Type"]) delete labData.values["Sample Type"];
-              if (labData.values["Specimen"]) delete labData.values["Specimen"];
-              
-              // --- SANITIZATION (Fix Llama Hallucinations) ---
-              // 1. Move Blood Group AND G6PD to staticUpdates if Llama put it in values
-              const bgKeys = ["Blood Group", "Blood Group & Rh", "BG", "Blood Group and Rh"];
-              bgKeys.forEach(k => {
-                if (labData.values[k]) {
-                  labData.staticUpdates["bloodGroup"] = labData.values[k];
-                  delete labData.values[k];
-                }
-              });
-              
-              const g6pdKeys = ["G6PD", "G6PD Status", "Glucose-6-Phosphate Dehydrogenase"];
-              g6pdKeys.forEach(k => {
-                if (labData.values[k]) {
-                  labData.staticUpdates["g6pd"] = labData.values[k];
-                  delete labData.values[k];
-                }
-              });
-
-              // 2. Remove Placeholder/Junk Keys
-              const junkKeys = ["AnyOtherParam", "Other Param", "Value", "Parameter", "Test Name", "Result", "Observed Value"];
-              junkKeys.forEach(k => delete labData.values[k]);
-              
-              // Extra safety: Remove keys containing "AnyOther" or "Placeholder"
-              Object.keys(labData.values).forEach(k => {
-                if (k.toLowerCase().includes("anyother") || k.toLowerCase().includes("placeholder")) delete labData.values[k];
-              });
-              
-              // 3. CLEANUP VALUES (Remove Units & "Not Found")
-              Object.keys(labData.values).forEach(k => {
-                let val = labData.values[k];
-                if (typeof val !== 'string') return;
-                
-                // A. Remove "Not Found", "Not Done", etc.
-                const lower = val.toLowerCase().trim();
-                const invalidPhrases = ["not found", "not done", "pending", "test not performed", "see below", "comment", "note", "not detected", "sample not received"];
-                if (invalidPhrases.some(phrase => lower.includes(phrase)) || lower === "value") {
-                  delete labData.values[k];
-                  return;
-                }
-
-                // B. Remove Units from Numeric Fields (e.g. "12.5 g/dL" -> "12.5")
-                // Only apply to fields that are typically single numbers (not combined like Na/K/Cl or text like CS)
-                const NUMERIC_KEYS = ["Hb", "TLC", "Platelets", "CRP", "I. Ca", "NRBC", "APTT", "Creatinine", "SGPT"];
-                if (NUMERIC_KEYS.includes(k)) {
-                   // Replace anything that isn't a digit, dot, or comma
-                   const cleaned = val.replace(/[^\d\.,]/g, '').trim();
-                   // Only update if we actually have a number left (prevents deleting "Positive" for CRP if applicable)
-                   if (cleaned.length > 0 && /\d/.test(cleaned)) {
-                     labData.values[k] = cleaned;
-                   }
-                }
-              });
-
-              // --- ALIAS MAPPING (Fix for WBC -> TLC, etc.) ---
-              const PARAM_ALIASES = {
-                "WBC Count": "TLC", "Total WBC": "TLC", "WBC": "TLC", "Leukocyte Count": "TLC", "Total Leucocyte Count": "TLC", "T.L.C": "TLC",
-                "Platelet Count": "Platelets", "PLT": "Platelets", "Platelet": "Platelets", "PLT Count": "Platelets",
-                "Hemoglobin": "Hb", "HGB": "Hb", "Haemoglobin": "Hb",
-                "Neutrophil Count": "Neutrophils", "Lymphocyte Count": "Lymphocytes"
-              };
-              
-              const normalizedValues = {};
-              Object.entries(labData.values).forEach(([k, v]) => {
-                const mappedKey = PARAM_ALIASES[k.trim()] || k.trim();
-                normalizedValues[mappedKey] = v;
-              });
-              labData.values = normalizedValues;
-
-              // SPLIT PARAMETERS (Culture vs General vs New)
-              const CULTURE_KEYS = ["Blood CS", "BAL CS", "Tip CS"];
-              const GENERAL_KEYS = ["Hb", "TLC", "Platelets", "CRP", "Na/K/Cl", "I. Ca", "NRBC", "Sr.Bili(T/D)", "PT/INR", "APTT", "Creatinine", "SGPT", "POCUS", "Antibiotics", "Blood products", "Anti Apnea", "Inotropes"];
-              // Ignore common Hemogram/Diff indices to prevent Inbox spam (User request: "in other than hemogram page")
-              const IGNORED_KEYS = ["MCV", "MCH", "MCHC", "RDW", "PCV", "Hct", "Neutrophils", "Lymphocytes", "Monocytes", "Eosinophils", "Basophils", "MPV", "PDW", "PCT", "RBC", "RBC Count", "Mean Platelet Volume"];
-              
-              const generalValues = {};
-              const cultureValues = {};
-              const newValues = {};
-
-              Object.entries(labData.values).forEach(([k, v]) => {
-                if (CULTURE_KEYS.includes(k)) cultureValues[k] = v;
-                else if (GENERAL_KEYS.includes(k)) generalValues[k] = v;
-                else if (!IGNORED_KEYS.includes(k)) newValues[k] = v;
-              });
-
-              // DATE LOGIC: Use Collection Date for General, Report Date for Culture
-              const collectionDate = labData.dates?.collection || new Date().toISOString().split('T')[0];
-              const cultureDate = labData.dates?.report || collectionDate; 
-              
-              if (currentMatch.action === 'AUTO_SAVE' && !labData.forceInbox) {
-                let savedTypes = [];
-                try {
-                  // 1. Auto-save General Parameters (using Collection Date)
-                  if (Object.keys(generalValues).length > 0 || Object.keys(labData.staticUpdates).length > 0) {
-                    console.log(`[AUTO-SAVE] General Params for ${currentMatch.patient.name}`);
-                    saveToChart(currentMatch.patient.id, { ...labData, values: generalValues, reportDate: collectionDate });
-                    savedTypes.push("General");
-                  }
-                  // 2. Auto-save Culture Parameters (using Report Date)
-                  if (Object.keys(cultureValues).length > 0) {
-                    console.log(`[AUTO-SAVE] Culture Params for ${currentMatch.patient.name}`);
-                    saveToChart(currentMatch.patient.id, { ...labData, values: cultureValues, reportDate: cultureDate });
-                    savedTypes.push("Culture");
-                  }
-                  
-                  // LOG NOTIFICATION
-                  if (savedTypes.length > 0) {
-                    saveNotification({
-                      patientName: currentMatch.patient.name,
-                      type: 'AUTO_SAVE',
-                      details: `Auto-saved: ${savedTypes.join(", ")}`,
-                      timestamp: new Date().toISOString()
-                    });
-                  }
-
-                  // 3. Send ONLY New Parameters to Inbox for approval
-                  if (Object.keys(newValues).length > 0) {
-                    console.log(`[INBOX] New Parameters for ${currentMatch.patient.name}`);
-                    // Explicitly pass collectionDate as the report date for these parameters
-                    saveToInbox({ ...labData, values: newValues, staticUpdates: {}, reportDate: collectionDate }, currentMatch, "New Parameters");
-                  }
-                } catch (e) {
-                  console.error(`[AUTO-SAVE FAILED] ${e.message}. Redirecting all data to Inbox.`);
-                  // Fallback: Send EVERYTHING to Inbox so user can save manually
-                  saveToInbox({ ...labData, reportDate: collectionDate }, currentMatch, "Auto-save Failed");
-                }
-              } else {
-                const reason = labData.forceInbox ? "Sample Type (Fluid/Tissue)" : "Low Score";
-                console.log(`[INBOX] ${currentMatch.patient ? currentMatch.patient.name : 'Unknown'} (Reason: ${reason})`);
-                // Ensure reportDate is top-level for the Inbox
-                saveToInbox({ ...labData, reportDate: collectionDate }, currentMatch, reason);
-                
-                saveNotification({
-                  patientName: currentMatch.patient ? currentMatch.patient.name : (labData.patientName || "Unknown"),
-                  type: 'INBOX',
-                  details: `Sent to Inbox: ${reason}`,
-                  timestamp: new Date().toISOString()
-                });
-              }
-              
-              // Mark thread for labeling
-              batchThreads.add(item.thread);
+      } catch (e) {
+        if (e.retryAt) {
+          // Still rate limited / unavailable after backing off: nothing in this batch was read, try it later
+          console.log(`⏳ [BACKOFF] ${e.message}. Deferring this batch to a later run.`);
+          adaptBatchScale(extractionProvider, batch, null);
+          batch.filter(item => !item.done && !item.deferred).forEach(deferQueuedItem);
+        } else {
+          console.error("Batch Error:", e);
+          batch.filter(item => !item.done && !item.deferred).forEach(item => {
+            recordAttachmentFailure(item, [`Batch error: ${e.message}`]);
+            metrics.failed++;
+            batchThreads.add(item.thread);
+          });
         }
       }
 
       // NEW: Label threads IMMEDIATELY after batch processing (Prevents duplicates on timeout)
+      // ...but only once every file of the thread is charted, inboxed or dead-lettered.
       batchThreads.forEach(t => {
-        t.addLabel(label);
-        if (oldLabel) t.removeLabel(oldLabel);
+        if (!t || !threadDone(t)) return; // Dashboard uploads have no thread
+        labelThread(t, label, oldLabel);
       });
+    }
+  } finally {
+    finishExtractionRun();
+  }
+}
+
+// Routes every valid report read from one file (model or lab template) and records in the ledger where it went.
+// errors = reports of the file that could not be read. Returns { chartDocIds, inboxDocIds, reports }.
+function routeExtractedFile(item, reports, errors, model, context) {
+  updateLedgerEntry(item.hash, { status: 'extracted' });
+  if (reports.length > 1) console.log(`[SPLIT] "${item.filename}" holds ${reports.length} reports: ${reports.map(describeReportPart).join(" | ")}`);
+
+  // One file can hold several reports (batch printout of several babies, cumulative report with several
+  // collection dates) - each is matched, routed and charted on its own. The subject/filename match only
+  // speaks for them if they are all the same baby.
+  const routedItem = { ...item, preMatch: reportsShareOnePatient(reports) ? item.preMatch : null, split: reports.length > 1 };
+  const outcome = { chartDocIds: [], inboxDocIds: [], reports: [] };
+  reports.forEach(labData => {
+    // PROVENANCE: Where every charted cell came from (see recordCellValue)
+    labData.provenance = {
+      messageId: item.messageId || null,
+      sender: item.sender || null,
+      filename: item.filename,
+      pages: labData.pages || null, // Page range of the file this report came from
+      attachmentHash: item.hash,
+      model: model,
+      // Sample time for hour-of-life plots (bilirubin nomogram); date only when the report has no time
+      collectedAt: labData.dates.collection ? `${labData.dates.collection}${labData.dates.collectionTime ? `T${labData.dates.collectionTime}` : ''}` : null
+    };
+
+    const routed = routeLabResult(routedItem, labData, context);
+    outcome.chartDocIds.push(...routed.chartDocIds);
+    outcome.inboxDocIds.push(...routed.inboxDocIds);
+    outcome.reports.push({ pages: labData.pages || "", patientName: labData.patientName || "", collection: labData.dates.collection || "", chartDocIds: routed.chartDocIds, inboxDocIds: routed.inboxDocIds });
+  });
+  // Reports of the file that still failed validation are not dropped: the Inbox says which pages to enter by hand
+  if (errors.length > 0) outcome.inboxDocIds.push(saveExtractionFailure(routedItem, errors));
+
+  // LEDGER: Record where this attachment ended up (and, for split files, where each page range went)
+  updateLedgerEntry(item.hash, {
+    status: outcome.chartDocIds.length > 0 ? 'charted' : 'inboxed',
+    chartDocIds: [...new Set(outcome.chartDocIds)],
+    inboxDocIds: outcome.inboxDocIds.filter(Boolean),
+    reports: outcome.reports,
+    lastError: errors.join('; ')
+  });
+  if (item.uploadId) deleteUploadChunks(item.uploadId);
+  item.done = true;
+  return outcome;
+}
+
+// Patients with the fields matching and reference ranges need (shared by the Gmail run and the structured feeds)
+function loadAllPatients() {
+  return firestore.getDocuments(CONFIG.pathPatients).map(doc => {
+    const data = doc.fields;
+    return {
+      id: doc.name.split('/').pop(),
+      name: data.name ? data.name.stringValue : "",
+      ward: data.ward ? data.ward.stringValue : "",
+      serial: data.customSerial ? data.customSerial.integerValue : "",
+      // Needed for age-adjusted reference ranges (same fields as the dashboard's calculateDOL/calculateCGA)
+      dob: data.dob ? data.dob.stringValue : "",
+      birthGaWeeks: data.birthGaWeeks ? unwrapFirestoreValue(data.birthGaWeeks) : null,
+      birthGaDays: data.birthGaDays ? unwrapFirestoreValue(data.birthGaDays) : 0,
+      termStatus: data.termStatus ? data.termStatus.stringValue : "",
+      jaundiceRiskFactors: data.jaundiceRiskFactors ? unwrapFirestoreValue(data.jaundiceRiskFactors) || [] : [], // Bilirubin thresholds
+      // Identifiers compared against the ones printed on the report (see IDENTIFIER_SIGNALS)
+      uhid: data.uhid ? String(unwrapFirestoreValue(data.uhid)) : "",
+      ipNumber: data.ipNumber ? String(unwrapFirestoreValue(data.ipNumber)) : "",
+      motherName: data.motherName ? data.motherName.stringValue : "",
+      bed: data.bed ? String(unwrapFirestoreValue(data.bed)) : "",
+      status: data.status ? data.status.stringValue : ""
+    };
+  });
+}
+
+// Matches one report to a patient, then charts it or sends it to the Inbox (general / culture / new-parameter routing).
+// Shared by the PDF extraction and the structured HL7 / CSV feeds (section 13).
+// context = { allPatients, learnedAliases, dictionary }. Returns { chartDocIds, inboxDocIds }.
+function routeLabResult(item, labData, context) {
+  const { allPatients, learnedAliases, dictionary } = context;
+  const outcome = { chartDocIds: [], inboxDocIds: [] };
+  const source = item.split ? ` (${item.filename}, ${describeReportPart(labData)})` : ''; // Which part of a split file
+  console.log(`Processing result for: ${item.filename}${labData.patientName ? ` (${labData.patientName})` : ''}${item.split && labData.pages ? ` pages ${labData.pages}` : ''}`);
+
+  // 3. Check PDF Content Name + Identifiers (Priority 3). Also re-checks a subject/filename match
+  //    against the UHID/IP/DOB/mother's name printed in the report - any conflict forces the Inbox.
+  // A learned alias for the name printed in the PDF beats a fuzzy subject/filename match
+  const nameAlias = item.preMatch && (item.preMatch.learned || item.preMatch.uploaded) ? null : matchLearnedAlias(learnedAliases, { name: labData.patientName, sender: item.sender }, allPatients);
+  let currentMatch = reconcileMatch(nameAlias || item.preMatch, labData, allPatients);
+  if (currentMatch && currentMatch.explanation) console.log(`[MATCH] ${item.filename}: ${currentMatch.explanation}`);
+
+  // Default match if none found
+  if (!currentMatch) currentMatch = { action: 'INBOX', patient: null, score: 0 };
+  if (DRY_RUN_PLAN) DRY_RUN_PLAN.files.push({
+    filename: item.filename,
+    pages: labData.pages || null,
+    hash: item.hash,
+    extractedName: labData.patientName || null,
+    matchedPatientId: currentMatch.patient ? currentMatch.patient.id : null,
+    matchedPatientName: currentMatch.patient ? currentMatch.patient.name : null,
+    matchScore: currentMatch.score,
+    matchExplanation: currentMatch.explanation || null,
+    action: labData.forceInbox ? 'INBOX' : currentMatch.action
+  });
+
+  // --- SANITIZATION & SPLIT (Culture vs General vs New, driven by the parameter dictionary) ---
+  const { generalValues, cultureValues, newValues, reviewValues, unitIssues, unsureValues, unsureStatic, confidenceIssues } = sanitizeLabResult(labData, dictionary);
+  const confidentStatic = Object.fromEntries(Object.entries(labData.staticUpdates).filter(([k]) => !(k in unsureStatic)));
+  labData.cultures = buildCultureRecords(labData, cultureValues, dictionary); // Also travels with Inbox items
+  const newCultures = labData.cultures.filter(c => !dictionary.byName[c.parameter]); // Sites without a dictionary row
+  const knownCultures = labData.cultures.filter(c => !newCultures.includes(c));
+
+  // DATE LOGIC: Use Collection Date for General (cultures pick their own column, see saveCultureReports)
+  const collectionDate = labData.dates?.collection || new Date().toISOString().split('T')[0];
+
+  // CRITICAL VALUE CHECK: Flag against the baby's age on the day the sample was collected
+  // (values held back for a unit check are not in our units, so they can't be flagged)
+  const convertedValues = Object.fromEntries(Object.entries(labData.values).filter(([k]) => !(k in reviewValues)));
+  const labFlags = flagLabValues(convertedValues, currentMatch.patient, collectionDate);
+
+  if (currentMatch.action === 'AUTO_SAVE' && !labData.forceInbox) {
+    let savedTypes = [];
+    try {
+      // 1. Auto-save General Parameters (using Collection Date)
+      if (Object.keys(generalValues).length > 0 || Object.keys(confidentStatic).length > 0) {
+        console.log(`[AUTO-SAVE] General Params for ${currentMatch.patient.name}`);
+        saveToChart(currentMatch.patient.id, { ...labData, values: generalValues, staticUpdates: confidentStatic, flags: labFlags.flags, reportDate: collectionDate }, dictionary);
+        savedTypes.push("General");
+      }
+      // 2. Auto-save Cultures (one record per sample; a final report updates its interim)
+      if (knownCultures.length > 0) {
+        console.log(`[AUTO-SAVE] Cultures for ${currentMatch.patient.name}`);
+        saveCultureReports(currentMatch.patient, { ...labData, cultures: knownCultures }, dictionary);
+        savedTypes.push("Culture");
+      }
 
+      // LOG NOTIFICATION
+      if (savedTypes.length > 0) {
+        outcome.chartDocIds.push(currentMatch.patient.id);
+        recordAliasUse(currentMatch);
+        saveNotification({
+          patientName: currentMatch.patient.name,
+          type: 'AUTO_SAVE',
+          details: `Auto-saved: ${savedTypes.join(", ")}${source}`,
+          timestamp: new Date().toISOString()
+        }, currentMatch.patient);
+      }
+      if (savedTypes.includes("General")) {
+        saveCriticalAlert(currentMatch.patient.name, labFlags.critical.filter(c => !(c.label in unsureValues)), collectionDate, currentMatch.patient);
+        checkBilirubinThreshold(currentMatch.patient, labData, generalValues, collectionDate);
+      }
+
+      // 3. Send ONLY New Parameters (and cultures from sites with no culture row) to Inbox for approval
+      if (Object.keys(newValues).length > 0 || newCultures.length > 0) {
+        console.log(`[INBOX] New Parameters for ${currentMatch.patient.name}`);
+        const cultureCells = Object.fromEntries(newCultures.map(c => [c.parameter, cultureChartValue(c)]));
+        // Explicitly pass collectionDate as the report date for these parameters
+        const inboxId = saveToInbox({ ...labData, values: { ...newValues, ...cultureCells }, staticUpdates: {}, cultures: newCultures, unitIssues: [], confidenceIssues: [], flags: labFlags.flags, reportDate: collectionDate }, currentMatch, "New Parameters");
+        outcome.inboxDocIds.push(inboxId);
+        newCultures.forEach(c => notifyPositiveCulture(currentMatch.patient.name, c, currentMatch.patient, { type: 'inbox', id: inboxId }));
+      }
+
+      // 4. Values with an unknown unit or an implausible number wait for a human
+      if (Object.keys(reviewValues).length > 0) {
+        console.log(`[INBOX] Unit check for ${currentMatch.patient.name}: ${unitIssues.join('; ')}`);
+        outcome.inboxDocIds.push(saveToInbox({ ...labData, values: reviewValues, staticUpdates: {}, cultures: [], confidenceIssues: [], flags: {}, reportDate: collectionDate }, currentMatch, "Unit Check"));
+      }
+
+      // 5. Values the model wasn't sure of: the rest is charted, these wait next to the text they were read from.
+      //    A critical one still alerts, pointing at the Inbox item.
+      if (Object.keys(unsureValues).length > 0 || Object.keys(unsureStatic).length > 0) {
+        console.log(`[INBOX] Low confidence for ${currentMatch.patient.name}: ${confidenceIssues.join('; ')}`);
+        const inboxId = saveToInbox({ ...labData, values: unsureValues, staticUpdates: unsureStatic, cultures: [], unitIssues: [], flags: labFlags.flags, reportDate: collectionDate }, currentMatch, "Low Confidence");
+        outcome.inboxDocIds.push(inboxId);
+        saveCriticalAlert(currentMatch.patient.name, labFlags.critical.filter(c => c.label in unsureValues).map(c => ({ ...c, reason: `${c.reason}, unconfirmed - check in the Inbox` })), collectionDate, currentMatch.patient, { type: 'inbox', id: inboxId });
+      }
     } catch (e) {
-      console.error("Batch Error:", e);
+      console.error(`[AUTO-SAVE FAILED] ${e.message}. Redirecting all data to Inbox.`);
+      // Fallback: Send EVERYTHING to Inbox so user can save manually
+      outcome.inboxDocIds.push(saveToInbox({ ...labData, flags: labFlags.flags, reportDate: collectionDate }, currentMatch, "Auto-save Failed"));
     }
-    
-    // Pause between batches to be kind to the API
-    if (i + GEMINI_BATCH_SIZE < pdfQueue.length) Utilities.sleep(30000);
-  }
-  
-  } catch (e) {
-    console.error("Critical Execution Error:", e);
-  } finally {
-    lock.releaseLock();
+  } else {
+    const reason = labData.forceInbox ? "Sample Type (Fluid/Tissue)"
+      : currentMatch.conflict ? "Identifier Conflict"
+      : currentMatch.ambiguous ? "Ambiguous Match" : "Low Score";
+    console.log(`[INBOX] ${currentMatch.patient ? currentMatch.patient.name : 'Unknown'} (Reason: ${reason})`);
+    // Ensure reportDate is top-level for the Inbox
+    const inboxId = saveToInbox({ ...labData, flags: labFlags.flags, reportDate: collectionDate }, currentMatch, reason);
+    outcome.inboxDocIds.push(inboxId);
+
+    // Suggested patient (if any) only sets the ward for filtering - the link opens the Inbox item, not the chart
+    const inboxPatientName = currentMatch.patient ? currentMatch.patient.name : (labData.patientName || "Unknown");
+    const inboxLink = { type: 'inbox', id: inboxId };
+    saveNotification({
+      patientName: inboxPatientName,
+      type: 'INBOX',
+      details: `Sent to Inbox: ${reason}${source}`,
+      timestamp: new Date().toISOString()
+    }, currentMatch.patient, inboxLink);
+    // Critical values and positive cultures must not wait for someone to open the Inbox
+    saveCriticalAlert(inboxPatientName, labFlags.critical, collectionDate, currentMatch.patient, inboxLink);
+    labData.cultures.forEach(c => notifyPositiveCulture(inboxPatientName, c, currentMatch.patient, inboxLink));
   }
+  return outcome;
 }
 
 // ==========================================
-// 1. GEMINI BATCH API (2.5 FLASH)
+// 1. EXTRACTION PROVIDERS (REPORT BATCH IN -> LAB JSON ARRAY OUT)
 // ==========================================
-function analyzeBatchWithGemini(batchItems, userInstructions) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${CONFIG.geminiApiKey}`;
-  
-  const prompt = `
-    You are a medical data assistant. I have attached ${batchItems.length} PDF lab reports.
-    Return a JSON ARRAY containing exactly ${batchItems.length} objects.
+// Every provider implements the same contract:
+//   extractBatch(batchItems, prompt, settings) -> raw model text (a JSON array, one object per file)
+//   listModels(settings) -> array of model names
+// 'file' providers receive the files themselves (reportParts), 'text' providers receive their OCR text (see extractReportText;
+// openai sends PDFs as text too unless it talks to api.openai.com).
+// Providers report token usage with recordProviderUsage; uploadsLargeFiles = a report too big to inline can still be sent (section 18).
+const EXTRACTION_PROVIDERS = {
+  gemini: { defaultModel: 'gemini-2.5-flash', inputMode: 'file', uploadsLargeFiles: true, extractBatch: analyzeBatchWithGemini, listModels: listGeminiModels },
+  openai: { defaultModel: 'gpt-4o-mini', inputMode: 'file', extractBatch: analyzeBatchWithOpenAI, listModels: listOpenAIModels },
+  ollama: { defaultModel: 'llama3.1', inputMode: 'text', extractBatch: analyzeBatchWithOllama, listModels: listOllamaModels }
+};
+
+// Report files the model can read. A report photographed page by page travels as one item with several pages.
+// The model APIs don't take TIFF, so scans are converted to PDF first (see reportParts).
+const REPORT_FILE_TYPES = {
+  "application/pdf": [".pdf"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+  "image/tiff": [".tif", ".tiff"]
+};
+const MIN_REPORT_IMAGE_BYTES = 15000; // Smaller images are logos and signatures, not report pages
+
+function reportMimeType(att) {
+  const type = att.getContentType().toLowerCase().split(';')[0].trim().replace('image/jpg', 'image/jpeg');
+  if (REPORT_FILE_TYPES[type]) return type;
+  const name = att.getName().toLowerCase();
+  return Object.keys(REPORT_FILE_TYPES).find(t => REPORT_FILE_TYPES[t].some(ext => name.endsWith(ext))) || null;
+}
+
+function reportFormat(pages) {
+  return pages.every(a => reportMimeType(a) === "application/pdf") ? 'pdf' : 'image';
+}
+
+// Page order of a photographed report: filename order, numbers compared as numbers ("page 2" before "page 10")
+function groupReportPages(images) {
+  return images.slice().sort((a, b) => a.getName().localeCompare(b.getName(), undefined, { numeric: true }));
+}
+
+// "CBC page 2.jpg", "scan_p1.tif", "LFT-pg3.png" -> "cbc", "scan", "lft" (the report the page belongs to); null without a page marker
+function reportPageStem(name) {
+  const m = String(name).match(/^(.*?)(?:^|[\s_.\-(])(?:page|pg|p)[\s_.\-]*\d+\)?(?:\.[a-z0-9]+)?$/i);
+  return m ? m[1].trim().toLowerCase() : null;
+}
+
+// Reports among a message's images: one per image, except images whose names mark them as pages of the same report
+function groupReportImages(images) {
+  const byStem = new Map();
+  const reports = [];
+  images.forEach(img => {
+    const stem = reportPageStem(img.getName());
+    if (stem === null) { reports.push([img]); return; }
+    if (!byStem.has(stem)) { byStem.set(stem, []); reports.push(byStem.get(stem)); }
+    byStem.get(stem).push(img);
+  });
+  return reports.map(groupReportPages);
+}
+
+// What the model gets for one queued report: [{ mimeType, blob }], one entry per page.
+// TIFF scans are converted once (prepareReportParts) and reused by every request for the item.
+function reportParts(item) {
+  if (item.parts) return item.parts;
+  item.parts = (item.pages || [item.blob]).map(page => {
+    const mimeType = reportMimeType(page) || "application/pdf";
+    if (mimeType !== "image/tiff") return { mimeType: mimeType, blob: page };
+    return { mimeType: "application/pdf", blob: page.getAs(MimeType.PDF) };
+  });
+  return item.parts;
+}
+
+// Converts an item's TIFF scans before it joins a batch. Returns null, or the error for a scan Drive can't convert
+// (that item fails on its own instead of failing the whole batch).
+function prepareReportParts(item) {
+  try {
+    reportParts(item);
+    return null;
+  } catch (e) {
+    return `Could not convert the TIFF scan to PDF: ${e.message}`;
+  }
+}
+
+function getExtractionProvider() {
+  const name = (CONFIG.extraction.provider || 'gemini').toLowerCase();
+  const impl = EXTRACTION_PROVIDERS[name];
+  if (!impl) throw new Error(`Unknown EXTRACTION_PROVIDER "${name}". Use one of: ${Object.keys(EXTRACTION_PROVIDERS).join(", ")}`);
+  return {
+    ...impl,
+    name: name,
+    model: CONFIG.extraction.model || impl.defaultModel,
+    baseUrl: (CONFIG.extraction.baseUrl || "").replace(/\/+$/, ''),
+    apiKey: CONFIG.extraction.apiKey || (name === 'gemini' ? CONFIG.geminiApiKey : ""),
+    limits: {
+      files: CONFIG.extraction.maxBatchFiles || DEPLOYMENT_DEFAULTS.extraction.maxBatchFiles,
+      requestBytes: (CONFIG.extraction.maxRequestMb || DEPLOYMENT_DEFAULTS.extraction.maxRequestMb) * 1024 * 1024,
+      tokens: CONFIG.extraction.maxBatchTokens || DEPLOYMENT_DEFAULTS.extraction.maxBatchTokens
+    }
+  };
+}
+
+// context = { userInstructions, dictionary }
+function analyzeBatch(batchItems, context) {
+  const provider = getExtractionProvider();
+  const prompt = buildExtractionPrompt(batchItems.length, context, provider.inputMode);
+  const text = provider.extractBatch(batchItems, prompt, provider);
+  return parseExtractionJson(text);
+}
+
+function buildExtractionPrompt(fileCount, context, inputMode) {
+  const userInstructions = context.userInstructions;
+  const source = inputMode === 'text'
+    ? `Below is the text content of ${fileCount} lab reports, each starting with its FILE marker.`
+    : `I have attached ${fileCount} lab reports: PDFs, or photos/scans of the pages. A report photographed page by page is one FILE marker followed by all of its pages.`;
+
+  // Value keys and alias rules come from the parameter dictionary
+  const charted = context.dictionary.parameters
+    .filter(p => p.category === 'Investigations' && (p.routing === 'general' || p.routing === 'culture'))
+    .sort((a, b) => a.order - b.order);
+  const valueTemplate = charted.map(p => `"${p.name}": "${p.prompt || 'val'}"`).join(', ');
+  const cultureRows = charted.filter(p => p.routing === 'culture').map(p => p.name);
+  const aliasRule = charted.filter(p => (p.aliases || []).length > 0)
+    .map(p => p.aliases.slice(0, 3).map(a => `'${a}'->'${p.name}'`).join(', ')).join(', ');
+
+  return `
+    You are a medical data assistant. ${source}
+    Return a JSON ARRAY with one object per REPORT. Usually that is one object per file, but one file can hold
+    several reports: a printout with several patients, or a cumulative report with several collection dates.
+    Give every patient + collection date its own object (same filename, its own "pages").
     
     For EACH report, extract data into this structure:
     {
       "filename": "The exact filename provided",
+      "pages": "Pages of the file this report is on, e.g. 1-2 (\"1\" for a one-page file)",
       "patientName": "Name of patient",
+      "identifiers": {
+        "uhid": "UHID / MRN / Reg. No", "ipNumber": "IP / Admission No", "dob": "YYYY-MM-DD",
+        "motherName": "Mother's name", "bed": "Bed No", "ward": "Ward"
+      },
       "dates": {
         "collection": "YYYY-MM-DD", 
+        "collectionTime": "HH:MM (24h, only if printed)",
         "report": "YYYY-MM-DD"
       },
       "forceInbox": boolean, // True for Fluid/Tissue samples. False for Blood/Serum/Plasma/BAL/Tip.
       "values": {
-        "Hb": "val", "TLC": "val", "Platelets": "val", "CRP": "val",
-        "Na/K/Cl": "Na / K / Cl", "I. Ca": "val", "NRBC": "val",
-        "Sr.Bili(T/D)": "Total / Direct", "PT/INR": "PT / INR",
-        "APTT": "val", "Creatinine": "val", "SGPT": "val",
-        "Blood CS": "Organism or 'No growth' or 'No growth (interim)'", "BAL CS": "Organism", "Tip CS": "Type - Organism", "POCUS": "Findings"
+        ${valueTemplate}
       },
+      "units": { "<same key as in values>": "Unit printed on the report, e.g. g/dL, lakhs/cumm, umol/L" },
+      "evidence": { "<same key as in values or staticUpdates>": { "confidence": 0.95, "page": "1", "text": "Haemoglobin  15.2  g/dL  13.5-19.5" } },
       "staticUpdates": {
         "bloodGroup": "e.g. O +ve",
         "g6pd": "Normal/Deficient"
-      }
+      },
+      "cultures": [{
+        "parameter": "${cultureRows.join(' / ')}", "site": "Blood / BAL / Catheter tip / ...", "sampleId": "Lab sample / accession no",
+        "collectionDate": "YYYY-MM-DD", "reportDate": "YYYY-MM-DD", "status": "interim / final / contaminant",
+        "organism": "Organism isolated, empty for no growth", "colonyCount": "e.g. >10^5 CFU/ml",
+        "sensitivities": [{ "antibiotic": "Meropenem", "result": "S / I / R", "mic": "0.25" }]
+      }]
     }
     Rules:
     1. STRICTLY JSON ONLY.
-    2. EXTRACT NUMBERS ONLY for quantitative tests. Do NOT include units (e.g. extract "12.5", NOT "12.5 g/dL").
-    3. Map 'WBC'->'TLC', 'HGB'->'Hb', 'PLT'->'Platelets'.
+    2. EXTRACT NUMBERS ONLY for quantitative tests. Do NOT include units in 'values' (e.g. "12.5", NOT "12.5 g/dL") - put the printed unit in 'units' under the same key, exactly as printed. Never convert units yourself.
+    3. Map ${aliasRule}.
     4. 'Blood Group' MUST go to 'staticUpdates'.
     5. Ignore missing/pending values. No placeholder keys.
     6. Culture Reports: If 'No Growth', use exactly "No growth". If interim (e.g. 48h no growth), use "No growth (interim)".
-    ${userInstructions ? "\n    7. SPECIAL USER INSTRUCTIONS (OVERRIDE RULES):\n    " + userInstructions : ""}
+       Also add one 'cultures' entry per culture with EVERY antibiotic of the sensitivity table. Omit 'cultures' for non-culture reports.
+    7. 'identifiers': copy ONLY what is printed on the report. Leave a key out if it is not printed - never guess.
+       For a file with several patients, every object gets only the identifiers printed on ITS pages.
+       For a cumulative report (one table, a column per date), one object per collection date with that column's values.
+    8. 'evidence': one entry for EVERY key of 'values' and 'staticUpdates'. confidence = how sure you are the value is right
+       (0 to 1: 1 = clearly printed, lower when blurred, handwritten, cut off, overwritten or partly guessed - be honest, low values are checked by staff).
+       page = page of the file it is on. text = the row it was read from, copied as printed (at most 100 characters).
+    ${userInstructions ? "\n    9. SPECIAL USER INSTRUCTIONS (OVERRIDE RULES):\n    " + userInstructions : ""}
   `;
+}
+
+// Models wrap JSON differently (markdown fences, {"results": [...]} objects) - always hand back the array
+function parseExtractionJson(text) {
+  if (!text) return null;
+  const cleaned = String(text).replace(/```json/gi, '').replace(/```/g, '').trim();
+  const parsed = JSON.parse(cleaned);
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') {
+    const list = Object.values(parsed).find(v => Array.isArray(v));
+    if (list) return list;
+    if (parsed.filename) return [parsed]; // Single report returned as a bare object
+  }
+  return null;
+}
+
+function fetchProviderJson(url, options) {
+  const response = fetchWithBackoff(url, options);
+  let json;
+  try { json = JSON.parse(response.getContentText()); }
+  catch (e) { throw new Error(`HTTP ${response.getResponseCode()}: ${response.getContentText().slice(0, 200)}`); }
+  if (json.error) throw new Error(json.error.message || JSON.stringify(json.error));
+  if (response.getResponseCode() >= 400) throw new Error(`HTTP ${response.getResponseCode()}: ${response.getContentText().slice(0, 200)}`);
+  return json;
+}
+
+// --- GEMINI (generativelanguage.googleapis.com) ---
+function analyzeBatchWithGemini(batchItems, prompt, settings) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${settings.model}:generateContent?key=${settings.apiKey}`;
 
   // Build Multipart Request
   const parts = [{ text: prompt }];
   
   batchItems.forEach((item) => {
     parts.push({ text: `\n--- FILE: ${item.filename} ---\n` });
-    parts.push({
-      inlineData: {
-        mimeType: "application/pdf",
-        data: Utilities.base64Encode(item.blob.getBytes())
+    reportParts(item).forEach(page => {
+      // A report too big for one request goes through the File API instead (sent alone, see takeExtractionBatch)
+      if (item.oversize) {
+        parts.push({ fileData: { mimeType: page.mimeType, fileUri: uploadGeminiFile(page, item.filename, settings) } });
+        return;
       }
+      parts.push({
+        inlineData: {
+          mimeType: page.mimeType,
+          data: Utilities.base64Encode(page.blob.getBytes())
+        }
+      });
     });
   });
 
@@ -430,164 +877,845 @@ function analyzeBatchWithGemini(batchItems, userInstructions) {
     generationConfig: { responseMimeType: "application/json" }
   };
 
-  const options = {
+  const json = fetchProviderJson(url, {
     method: "post",
     contentType: "application/json",
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+    payload: JSON.stringify(payload)
+  });
+  const usage = json.usageMetadata || {};
+  recordProviderUsage(usage.promptTokenCount, (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0), json.candidates[0].finishReason === 'MAX_TOKENS');
+  return json.candidates[0].content.parts[0].text;
+}
 
-  const response = UrlFetchApp.fetch(url, options);
-  const json = JSON.parse(response.getContentText());
+// Gemini File API (resumable upload, files are kept by Google for 48 hours). Returns the file URI for a fileData part.
+function uploadGeminiFile(page, filename, settings) {
+  const bytes = page.blob.getBytes();
+  const start = fetchWithBackoff(`https://generativelanguage.googleapis.com/upload/v1beta/files?key=${settings.apiKey}`, {
+    method: "post",
+    contentType: "application/json",
+    headers: {
+      "X-Goog-Upload-Protocol": "resumable",
+      "X-Goog-Upload-Command": "start",
+      "X-Goog-Upload-Header-Content-Length": String(bytes.length),
+      "X-Goog-Upload-Header-Content-Type": page.mimeType
+    },
+    payload: JSON.stringify({ file: { display_name: filename } })
+  });
+  const uploadUrl = responseHeader(start, "X-Goog-Upload-URL");
+  if (!uploadUrl) throw new Error(`File upload not accepted: HTTP ${start.getResponseCode()} ${start.getContentText().slice(0, 200)}`);
 
-  if (json.error) throw new Error(json.error.message);
-  return JSON.parse(json.candidates[0].content.parts[0].text);
+  let file = fetchProviderJson(uploadUrl, {
+    method: "post",
+    contentType: page.mimeType,
+    headers: { "X-Goog-Upload-Command": "upload, finalize", "X-Goog-Upload-Offset": "0" },
+    payload: bytes
+  }).file;
+  // Large PDFs can take a few seconds before the model may read them
+  for (let i = 0; file.state === 'PROCESSING' && i < 10; i++) {
+    Utilities.sleep(2000);
+    file = fetchProviderJson(`https://generativelanguage.googleapis.com/v1beta/${file.name}?key=${settings.apiKey}`, { method: "get" });
+  }
+  if (file.state === 'FAILED') throw new Error(`Gemini could not process the uploaded file "${filename}"`);
+  console.log(`[UPLOAD] "${filename}" (${(bytes.length / 1048576).toFixed(1)} MB) sent through the Gemini File API.`);
+  return file.uri;
 }
 
-// ==========================================
-// 3. INTELLIGENT MATCHING
-// ==========================================
-function findBestMatch(labName, patients) {
-  const lab = normalizeName(labName);
-  console.log(`[MATCH DEBUG] Lab Name: "${labName}" -> Normalized: "${lab.name}" (Ordinal: ${lab.ordinal})`);
+function listGeminiModels(settings) {
+  const json = fetchProviderJson(`https://generativelanguage.googleapis.com/v1beta/models?key=${settings.apiKey}`, { method: "get" });
+  // Only models that support text generation
+  return (json.models || [])
+    .filter(m => m.supportedGenerationMethods && m.supportedGenerationMethods.includes("generateContent"))
+    .map(m => m.name.replace(/^models\//, ''));
+}
 
-  let bestMatch = null;
-  let maxScore = 0;
-  for (const p of patients) {
-    const app = normalizeName(p.name);
-    if (lab.ordinal !== app.ordinal) continue; 
-    const score = calculateSimilarityScore(lab.name, app.name);
-    
-    // Log close matches to help debug
-    if (score > 50) {
-      console.log(`[MATCH DEBUG] Candidate: "${p.name}" -> Norm: "${app.name}" | Score: ${score}`);
-    }
+// --- OPENAI-COMPATIBLE CHAT ENDPOINT (OpenAI, Azure-style gateways, vLLM, LM Studio...) ---
+// Images go as image_url parts everywhere (the model must support vision). PDFs go as "file" parts only to
+// api.openai.com - other servers don't accept them, so they get the PDF's OCR text (extractReportText) instead.
+function analyzeBatchWithOpenAI(batchItems, prompt, settings) {
+  const baseUrl = settings.baseUrl || "https://api.openai.com/v1";
+  const readsPdf = /^https:\/\/api\.openai\.com\//.test(baseUrl);
+  const content = [{ type: "text", text: prompt }];
 
-    if (score > maxScore) { maxScore = score; bestMatch = p; }
-  }
-  if (bestMatch && maxScore >= 75) return { action: 'AUTO_SAVE', patient: bestMatch, score: maxScore };
-  else return { action: 'INBOX', patient: bestMatch, score: maxScore };
+  batchItems.forEach((item) => {
+    content.push({ type: "text", text: `\n--- FILE: ${item.filename} ---\n` });
+    reportParts(item).forEach(page => {
+      if (page.mimeType === "application/pdf" && !readsPdf) {
+        content.push({ type: "text", text: extractReportText(page.blob) });
+        return;
+      }
+      const dataUrl = `data:${page.mimeType};base64,${Utilities.base64Encode(page.blob.getBytes())}`;
+      content.push(page.mimeType === "application/pdf"
+        ? { type: "file", file: { filename: item.filename, file_data: dataUrl } }
+        : { type: "image_url", image_url: { url: dataUrl } });
+    });
+  });
+
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  const json = fetchProviderJson(`${baseUrl}/chat/completions`, {
+    method: "post",
+    contentType: "application/json",
+    headers: headers,
+    payload: JSON.stringify({ model: settings.model, messages: [{ role: "user", content: content }], temperature: 0 })
+  });
+  const usage = json.usage || {};
+  recordProviderUsage(usage.prompt_tokens, usage.completion_tokens, json.choices[0].finish_reason === 'length');
+  return json.choices[0].message.content;
 }
 
-function normalizeName(raw) {
-  if (!raw) return { name: "", ordinal: null };
-  let s = raw.trim().toLowerCase();
-  
-  // 1. Remove common noise (Fix for Subject Lines)
-  s = s.replace(/laboratory report/g, '');
+function listOpenAIModels(settings) {
+  const baseUrl = settings.baseUrl || "https://api.openai.com/v1";
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  const json = fetchProviderJson(`${baseUrl}/models`, { method: "get", headers: headers });
+  return (json.data || []).map(m => m.id);
+}
 
-  let ordinal = null;
-  const map = {'first':1,'1st':1,'(1)':1,'second':2,'2nd':2,'(2)':2,'third':3,'3rd':3,'(3)':3};
-  for(const k in map) { if(s.includes(k)) { ordinal = map[k]; s = s.replace(k,''); break; } }
-  
-  // 2. Remove prefixes (Handle B/O specifically before stripping symbols)
-  s = s.replace(/b\/o/g, ''); 
-  s = s.replace(/baby of/g, '');
-  s = s.replace(/\b(baby|mast|miss)\b/g, '');
+// --- SELF-HOSTED OLLAMA (e.g. on the hospital LAN) ---
+// Local models can't read PDFs or photos, so they get the OCR text of each file instead.
+function analyzeBatchWithOllama(batchItems, prompt, settings) {
+  if (!settings.baseUrl) throw new Error("EXTRACTION_BASE_URL is required for the ollama provider (e.g. http://10.0.0.5:11434)");
+  let fullPrompt = prompt;
+  batchItems.forEach((item) => {
+    fullPrompt += `\n--- FILE: ${item.filename} ---\n${reportParts(item).map(page => extractReportText(page.blob)).join('\n')}\n`;
+  });
 
-  // 3. Remove non-alpha characters (replace with space to prevent merging words)
-  s = s.replace(/[^a-z\s]/g, ' ');
-  
-  return { name: s.replace(/\s+/g, ' ').trim(), ordinal: ordinal };
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  const json = fetchProviderJson(`${settings.baseUrl}/api/chat`, {
+    method: "post",
+    contentType: "application/json",
+    headers: headers,
+    payload: JSON.stringify({ model: settings.model, messages: [{ role: "user", content: fullPrompt }], format: "json", stream: false, options: { temperature: 0 } })
+  });
+  recordProviderUsage(json.prompt_eval_count, json.eval_count, json.done_reason === 'length');
+  return json.message.content;
 }
 
-function calculateSimilarityScore(name1, name2) {
-  let parts1 = name1.split(/\s+/).filter(p => p);
-  let parts2 = name2.split(/\s+/).filter(p => p);
-  let str1 = name1, str2 = name2;
-  if (parts1.length === 3 && parts2.length === 2) str1 = parts1[0] + " " + parts1[2];
-  else if (parts2.length === 3 && parts1.length === 2) str2 = parts2[0] + " " + parts2[2];
-  const dist = levenshtein(str1, str2);
-  const maxLen = Math.max(str1.length, str2.length);
-  if (maxLen === 0) return 100;
-  return (1 - dist / maxLen) * 100;
+function listOllamaModels(settings) {
+  if (!settings.baseUrl) throw new Error("EXTRACTION_BASE_URL is required for the ollama provider");
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  const json = fetchProviderJson(`${settings.baseUrl}/api/tags`, { method: "get", headers: headers });
+  return (json.models || []).map(m => m.name);
 }
 
-function levenshtein(a, b) {
-  const matrix = [];
-  for (let i = 0; i <= b.length; i++) matrix[i] = [i];
-  for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) == a.charAt(j - 1)) matrix[i][j] = matrix[i - 1][j - 1];
-      else matrix[i][j] = Math.min(matrix[i - 1][j - 1] + 1, Math.min(matrix[i][j - 1] + 1, matrix[i - 1][j] + 1));
-    }
+// PDF / image -> plain text via Drive OCR conversion (keeps the text layer, also reads scanned pages and photos).
+// Requires the Drive API advanced service (v2) to be enabled for this script (see the setup note at the top).
+function extractReportText(blob) {
+  if (typeof Drive === 'undefined') throw new Error("Drive API advanced service (v2) is not enabled for this script - needed to read report text");
+  const file = Drive.Files.insert({ title: blob.getName(), mimeType: MimeType.GOOGLE_DOCS }, blob.copyBlob(), { ocr: true });
+  try {
+    return DocumentApp.openById(file.id).getBody().getText();
+  } finally {
+    Drive.Files.remove(file.id);
   }
-  return matrix[b.length][a.length];
 }
 
 // ==========================================
-// 4. FIRESTORE ACTIONS (FIXED REFERENCE ERROR)
+// 2. EXTRACTION RESULT VALIDATION, REPAIR & RETRY
 // ==========================================
-function saveToInbox(labData, matchResult, reason) {
-  const payload = {
-    patientName: labData.patientName,
-    receivedAt: new Date().toISOString(),
-    reportDate: labData.reportDate, // Pass the specific date context to frontend
-    data: labData.values,
-    staticUpdates: labData.staticUpdates,
-    suggestedMatchId: matchResult.patient ? matchResult.patient.id : null,
-    matchScore: matchResult.score,
-    status: "Pending",
-    reason: reason
-  };
-  firestore.createDocument(CONFIG.pathInbox, payload);
-}
-
-function saveNotification(note) {
-  try { firestore.createDocument(CONFIG.pathNotifications, note); } catch(e) { console.error("Failed to save notification", e); }
-}
-
-function saveToChart(patientId, labData) {
-  const docPath = `${CONFIG.pathCharts}/${patientId}`;
-  
-  // Standard Rows Definition (Must match Frontend)
-  const DEFAULT_ROWS = [
-    { label: "Hb", category: "Investigations", data: {} },
-    { label: "TLC", category: "Investigations", data: {} },
-    { label: "Platelets", category: "Investigations", data: {} },
-    { label: "CRP", category: "Investigations", data: {} },
-    { label: "Na/K/Cl", category: "Investigations", data: {} }
-  ];
+// Strict shape of one extracted report. Parameter names inside "values" are open (new ones go to the Inbox),
+// but every value must be a string and every date must be YYYY-MM-DD. evidence (optional): per value key
+// { confidence 0-1, page, text } - where the value was read and how sure the model is (see sanitizeLabResult).
+const EXTRACTION_SCHEMA = {
+  keys: ["filename", "pages", "patientName", "identifiers", "dates", "forceInbox", "values", "units", "evidence", "staticUpdates", "cultures"],
+  evidenceKeys: ["confidence", "page", "text"],
+  identifierKeys: ["uhid", "ipNumber", "dob", "motherName", "bed", "ward"],
+  cultureKeys: ["parameter", "site", "sampleId", "collectionDate", "reportDate", "status", "organism", "colonyCount", "sensitivities"],
+  dateKeys: ["collection", "report", "collectionTime"],
+  staticKeys: ["bloodGroup", "g6pd"]
+};
 
-  let chart;
-  let isNew = false;
+// Sends the batch once, then gives every file that came back missing/invalid one repair pass
+// and, if that isn't enough, one more request on its own.
+// Returns one entry per batch item: { reports, errors, deferred, resent } - reports = every valid report found in the file
+// (several for a multi-patient or cumulative PDF), errors = why the others / the whole file couldn't be read,
+// resent = the batch answer wasn't enough (adaptBatchScale shrinks the next batches).
+// A provider that stays busy (error.retryAt, section 18) defers the files instead of failing them. A 5xx counts against
+// the file that was sent alone; only when PROVIDER_DOWN_AFTER files in a row fail alone is the provider taken as down.
+function extractBatchWithRetry(batch, context, deadline) {
+  let results = null;
+  let batchError = null;
+  try {
+    results = analyzeBatch(batch, context);
+    if (!results) console.error(`[SCHEMA] Batch response was not a JSON array. Re-sending files one at a time.`);
+  } catch (e) {
+    if (e.retryAt) throw e;
+    batchError = e;
+    console.error(`[SCHEMA] Batch extraction failed (${e.message}). Re-sending files one at a time.`);
+  }
+  // A lone file the provider already failed on with a 5xx: that is its failed attempt, no need to send it again
+  if (batch.length === 1 && batchError && batchError.status >= 500) {
+    return [{ reports: [], errors: [`Extraction failed: ${batchError.message}`], resent: false }];
+  }
 
-  // 1. READ & PARSE EXISTING DATA (Handle Raw Firestore JSON)
-  let dates = [];
-  let rows = [];
-  let staticData = {};
+  let busy = null;
+  let serverFailures = 0;
+  return batch.map(item => {
+    let check = checkFileResults(findResultsForFile(results, item.filename), item.filename);
+    if (check.errors.length === 0) return check;
 
-  try { 
-    const doc = firestore.getDocument(docPath);
-    chart = doc.fields; // Raw Firestore fields
-    
-    // Parse Dates
-    if (chart.dates?.arrayValue?.values) {
-      dates = chart.dates.arrayValue.values.map(v => v.stringValue);
-    }
-    
-    // Parse Rows
-    if (chart.rows?.arrayValue?.values) {
-      rows = chart.rows.arrayValue.values.map(row => {
-        const r = row.mapValue.fields;
-        const dataMap = {};
-        if (r.data?.mapValue?.fields) {
-          for (const [k, v] of Object.entries(r.data.mapValue.fields)) dataMap[k] = v.stringValue;
-        }
-        return { label: r.label.stringValue, category: r.category.stringValue, data: dataMap };
-      });
+    if (busy || Date.now() > deadline) {
+      console.log(`⏳ [RETRY] ${busy ? `${busy.message} -` : 'No time left to'} re-send "${item.filename}". Will retry next run.`);
+      return { reports: [], errors: check.errors, deferred: true, resent: true };
     }
 
-    // Parse Static
-    if (chart.static?.mapValue?.fields) {
-      for (const [k, v] of Object.entries(chart.static.mapValue.fields)) staticData[k] = v.stringValue;
+    console.log(`[RETRY] Re-sending "${item.filename}" alone (${check.errors.join('; ')})`);
+    try {
+      const single = analyzeBatch([item], context);
+      // Only one file was sent, so a dropped/renamed filename can safely be restored
+      let candidates = findResultsForFile(single, item.filename);
+      if (candidates.length === 0 && Array.isArray(single)) candidates = single.filter(isPlainObject).map(r => ({ ...r, filename: item.filename }));
+      const retried = checkFileResults(candidates, item.filename);
+      if (retried.errors.length === 0 || retried.reports.length > check.reports.length) check = retried;
+      serverFailures = 0;
+    } catch (e) {
+      if (e.retryAt) {
+        busy = e;
+        return { reports: [], errors: check.errors, deferred: true, resent: true };
+      }
+      if (e.status >= 500 && ++serverFailures >= PROVIDER_DOWN_AFTER) {
+        busy = new Error(`${serverFailures} files in a row failed with HTTP ${e.status}`);
+        markProviderBusy(Date.now() + PROVIDER_BACKOFF.maxMs);
+      }
+      check = { reports: check.reports, errors: [...check.errors, `Retry failed: ${e.message}`] };
     }
-
-  } catch(e) { 
+    return { ...check, resent: true };
+  });
+}
+
+// Every result the model returned for one file (one per report it found in it)
+function findResultsForFile(results, filename) {
+  if (!Array.isArray(results)) return [];
+  // Match result to file by filename (User confirmed filenames are unique)
+  const exact = results.filter(r => r && r.filename === filename);
+  if (exact.length > 0) return exact;
+  // Fallback: Try case-insensitive match
+  return results.filter(r => r && typeof r.filename === 'string' && r.filename.toLowerCase() === filename.toLowerCase());
+}
+
+// { reports: [labData], errors } for the results of one file; errors name the pages they are about
+function checkFileResults(results, filename) {
+  if (results.length === 0) return { reports: [], errors: [`No result returned for "${filename}"`] };
+  const reports = [], errors = [];
+  results.forEach(r => {
+    const check = checkExtractedResult(r, filename);
+    if (check.labData) reports.push(check.labData);
+    else errors.push(...check.errors.map(e => results.length > 1 ? `${describeReportPart(r)}: ${e}` : e));
+  });
+  return { reports: reports, errors: errors };
+}
+
+// "pages 3-4 (Baby of Rina, 2025-01-05)" - how logs, notifications and the Inbox name one part of a split file
+function describeReportPart(r) {
+  const who = [r && r.patientName, r && r.dates && r.dates.collection].filter(Boolean).join(', ');
+  return `${r && r.pages ? `pages ${r.pages}` : 'report'}${who ? ` (${who})` : ''}`;
+}
+
+// True when every report of a file is the same baby (same name, no two different UHIDs / IP numbers),
+// e.g. a cumulative report with several collection dates
+function reportsShareOnePatient(reports) {
+  if (reports.length <= 1) return true;
+  const distinct = values => new Set(values.filter(Boolean)).size;
+  const nameKey = r => { const n = normalizeName(r.patientName); return n.name || n.ordinal ? `${n.name}|${n.ordinal || ''}` : ''; }; // Twins differ by ordinal only
+  return distinct(reports.map(nameKey)) <= 1
+    && distinct(reports.map(r => normalizeIdentifier((r.identifiers || {}).uhid))) <= 1
+    && distinct(reports.map(r => normalizeIdentifier((r.identifiers || {}).ipNumber))) <= 1;
+}
+
+function checkExtractedResult(result, filename) {
+  if (!result) return { labData: null, errors: [`No result returned for "${filename}"`] };
+
+  const errors = validateLabResult(result);
+  if (errors.length === 0) return { labData: withResultDefaults(result), errors: [] };
+
+  const repaired = repairLabResult(result);
+  const remaining = validateLabResult(repaired);
+  if (remaining.length === 0) {
+    console.log(`[REPAIR] Fixed "${filename}": ${errors.join('; ')}`);
+    return { labData: withResultDefaults(repaired), errors: [] };
+  }
+  return { labData: null, errors: remaining };
+}
+
+function withResultDefaults(r) {
+  return { ...r, pages: r.pages || "", patientName: r.patientName || "", identifiers: r.identifiers || {}, dates: r.dates || {}, forceInbox: r.forceInbox === true, units: r.units || {}, evidence: r.evidence || {}, staticUpdates: r.staticUpdates || {}, cultures: r.cultures || [] };
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isValidIsoDate(s) {
+  if (typeof s !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(s + "T00:00:00Z");
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s;
+}
+
+function validateLabResult(r) {
+  if (!isPlainObject(r)) return ["Result is not an object"];
+  const errors = [];
+
+  Object.keys(r).forEach(k => { if (!EXTRACTION_SCHEMA.keys.includes(k)) errors.push(`Unknown key "${k}"`); });
+  if (typeof r.filename !== 'string' || !r.filename) errors.push("Missing filename");
+  if (r.pages != null && typeof r.pages !== 'string') errors.push("pages must be a string");
+  if (r.patientName != null && typeof r.patientName !== 'string') errors.push("patientName must be a string");
+  if (r.forceInbox != null && typeof r.forceInbox !== 'boolean') errors.push("forceInbox must be true/false");
+
+  if (r.identifiers != null) {
+    if (!isPlainObject(r.identifiers)) errors.push("identifiers must be an object");
+    else Object.entries(r.identifiers).forEach(([k, v]) => {
+      if (!EXTRACTION_SCHEMA.identifierKeys.includes(k)) errors.push(`Unknown identifier "${k}"`);
+      else if (v != null && typeof v !== 'string') errors.push(`identifiers.${k} must be a string`);
+      else if (k === 'dob' && v && !isValidIsoDate(v)) errors.push(`identifiers.dob "${v}" is not YYYY-MM-DD`);
+    });
+  }
+
+  if (r.dates != null) {
+    if (!isPlainObject(r.dates)) errors.push("dates must be an object");
+    else Object.entries(r.dates).forEach(([k, v]) => {
+      if (!EXTRACTION_SCHEMA.dateKeys.includes(k)) errors.push(`Unknown date "${k}"`);
+      else if (k === 'collectionTime') { if (v != null && v !== "" && !/^([01]\d|2[0-3]):[0-5]\d$/.test(v)) errors.push(`dates.collectionTime "${v}" is not HH:MM`); }
+      else if (v != null && v !== "" && !isValidIsoDate(v)) errors.push(`dates.${k} "${v}" is not YYYY-MM-DD`);
+    });
+  }
+
+  if (!isPlainObject(r.values)) errors.push("values must be an object");
+  else Object.entries(r.values).forEach(([k, v]) => { if (typeof v !== 'string') errors.push(`values["${k}"] must be a string`); });
+
+  if (r.units != null) {
+    if (!isPlainObject(r.units)) errors.push("units must be an object");
+    else Object.entries(r.units).forEach(([k, v]) => { if (typeof v !== 'string') errors.push(`units["${k}"] must be a string`); });
+  }
+
+  if (r.evidence != null) {
+    if (!isPlainObject(r.evidence)) errors.push("evidence must be an object");
+    else Object.entries(r.evidence).forEach(([k, e]) => {
+      if (!isPlainObject(e)) { errors.push(`evidence["${k}"] must be { confidence, page, text }`); return; }
+      Object.entries(e).forEach(([field, v]) => {
+        if (!EXTRACTION_SCHEMA.evidenceKeys.includes(field)) errors.push(`Unknown evidence key "${field}"`);
+        else if (field === 'confidence') { if (v != null && (typeof v !== 'number' || v < 0 || v > 1)) errors.push(`evidence["${k}"].confidence must be a number from 0 to 1`); }
+        else if (v != null && typeof v !== 'string') errors.push(`evidence["${k}"].${field} must be a string`);
+      });
+    });
+  }
+
+  if (r.staticUpdates != null) {
+    if (!isPlainObject(r.staticUpdates)) errors.push("staticUpdates must be an object");
+    else Object.entries(r.staticUpdates).forEach(([k, v]) => {
+      if (!EXTRACTION_SCHEMA.staticKeys.includes(k)) errors.push(`Unknown staticUpdates key "${k}"`);
+      else if (v != null && typeof v !== 'string') errors.push(`staticUpdates.${k} must be a string`);
+    });
+  }
+
+  if (r.cultures != null) {
+    if (!Array.isArray(r.cultures)) errors.push("cultures must be a list");
+    else r.cultures.forEach((c, i) => {
+      if (!isPlainObject(c)) { errors.push(`cultures[${i}] must be an object`); return; }
+      Object.entries(c).forEach(([k, v]) => {
+        if (!EXTRACTION_SCHEMA.cultureKeys.includes(k)) errors.push(`Unknown culture key "${k}"`);
+        else if (k === 'sensitivities') {
+          if (!Array.isArray(v) || v.some(s => !isPlainObject(s) || typeof s.antibiotic !== 'string')) errors.push(`cultures[${i}].sensitivities must be a list of { antibiotic, result, mic }`);
+        } else if (v != null && typeof v !== 'string') errors.push(`cultures[${i}].${k} must be a string`);
+        else if ((k === 'collectionDate' || k === 'reportDate') && v && !isValidIsoDate(v)) errors.push(`cultures[${i}].${k} "${v}" is not YYYY-MM-DD`);
+      });
+    });
+  }
+  return errors;
+}
+
+// 0.85 / "85%" / 85 / "high" -> a number from 0 to 1 (null when it can't be read)
+const CONFIDENCE_WORDS = { "very high": 0.95, "high": 0.9, "medium": 0.6, "moderate": 0.6, "low": 0.3, "very low": 0.1 };
+function repairConfidence(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === 'string' && CONFIDENCE_WORDS[v.trim().toLowerCase()] !== undefined) return CONFIDENCE_WORDS[v.trim().toLowerCase()];
+  const n = parseFloat(v);
+  if (isNaN(n) || n < 0) return null;
+  const scaled = n > 1 || /%/.test(String(v)) ? n / 100 : n;
+  return scaled <= 1 ? scaled : null;
+}
+
+// One deterministic repair pass for the mistakes models actually make (renamed keys, numbers instead of strings,
+// DD/MM/YYYY dates, "true" as a string, values as a list of {name, value}).
+function repairLabResult(r) {
+  if (!isPlainObject(r)) return r;
+  const fixed = {
+    filename: r.filename || r.fileName || r.file_name || r.file,
+    pages: r.pages ?? r.pageRange ?? r.page_range ?? r.page,
+    patientName: r.patientName ?? r.patient_name ?? r.patient ?? r.name,
+    identifiers: r.identifiers ?? r.ids ?? {},
+    dates: r.dates || {},
+    forceInbox: r.forceInbox,
+    values: r.values ?? r.results ?? r.parameters ?? {},
+    units: r.units ?? r.unit ?? {},
+    evidence: r.evidence ?? r.sources ?? r.source ?? {},
+    staticUpdates: r.staticUpdates ?? r.static ?? {},
+    cultures: r.cultures ?? r.culture ?? []
+  };
+  if (!isPlainObject(fixed.dates)) fixed.dates = {};
+  if (r.collectionDate && !fixed.dates.collection) fixed.dates.collection = r.collectionDate;
+  if (r.reportDate && !fixed.dates.report) fixed.dates.report = r.reportDate;
+
+  if (fixed.patientName != null && typeof fixed.patientName !== 'string') fixed.patientName = String(fixed.patientName);
+  // [3, 4] / 3 -> "3-4" / "3"
+  if (Array.isArray(fixed.pages)) fixed.pages = fixed.pages.length > 1 ? `${fixed.pages[0]}-${fixed.pages[fixed.pages.length - 1]}` : String(fixed.pages[0] ?? "");
+  else if (fixed.pages != null && typeof fixed.pages !== 'string') fixed.pages = String(fixed.pages);
+  if (typeof fixed.forceInbox === 'string') fixed.forceInbox = fixed.forceInbox.trim().toLowerCase() === 'true';
+  else if (fixed.forceInbox != null && typeof fixed.forceInbox !== 'boolean') fixed.forceInbox = !!fixed.forceInbox;
+
+  const dates = {};
+  ["collection", "report"].forEach(k => {
+    const d = normalizeDateString(fixed.dates[k]);
+    if (d) dates[k] = d;
+  });
+  // "10:30 PM", or the time part of "05/01/2025 10:30"
+  const time = normalizeTimeString(fixed.dates.collectionTime ?? r.collectionTime) || normalizeTimeString((String(fixed.dates.collection || "").match(/[T\s](\d{1,2}[:.]\d{2}.*)$/) || [])[1]);
+  if (time) dates.collectionTime = time;
+  fixed.dates = dates;
+
+  // [{ name: "Hb", value: 12, unit: "g/dL", confidence: 0.9 }] -> { "Hb": "12" } + units { "Hb": "g/dL" } + evidence
+  if (!isPlainObject(fixed.units)) fixed.units = {};
+  const evidence = isPlainObject(fixed.evidence) ? { ...fixed.evidence } : {};
+  if (Array.isArray(fixed.values)) {
+    const map = {};
+    fixed.values.forEach(v => {
+      if (!isPlainObject(v) || !(v.name || v.parameter)) return;
+      map[v.name || v.parameter] = v.value ?? v.result;
+      if (v.unit) fixed.units[v.name || v.parameter] = v.unit;
+      if (v.confidence != null || v.text || v.source) evidence[v.name || v.parameter] = v;
+    });
+    fixed.values = map;
+  }
+  // { "Hb": { value: 12, unit: "g/dL", confidence: 0.9, page: 1 } } -> units and evidence as well
+  if (isPlainObject(fixed.values)) Object.entries(fixed.values).forEach(([k, v]) => {
+    if (!isPlainObject(v)) return;
+    if (v.unit) fixed.units[k] = v.unit;
+    if (v.confidence != null || v.text || v.source) evidence[k] = v;
+  });
+  fixed.values = isPlainObject(fixed.values) ? repairStringMap(fixed.values) : {};
+  fixed.units = repairStringMap(fixed.units);
+  // { "Hb": 0.9 } / { confidence: "85%", page: 2, source: "..." } -> { confidence: 0.85, page: "2", text: "..." }
+  fixed.evidence = {};
+  Object.entries(evidence).forEach(([k, e]) => {
+    const entry = isPlainObject(e) ? e : { confidence: e };
+    const repaired = { confidence: repairConfidence(entry.confidence ?? entry.score ?? entry.certainty) };
+    const page = entry.page ?? entry.pages;
+    const text = entry.text ?? entry.source ?? entry.snippet ?? entry.quote;
+    if (page != null && page !== "") repaired.page = String(page);
+    if (text != null && text !== "") repaired.text = String(text).slice(0, 200);
+    fixed.evidence[k] = repaired;
+  });
+
+  const staticUpdates = {};
+  if (isPlainObject(fixed.staticUpdates)) {
+    const s = repairStringMap(fixed.staticUpdates);
+    const bg = s.bloodGroup ?? s.blood_group ?? s["Blood Group"];
+    if (bg) staticUpdates.bloodGroup = bg;
+    if (s.g6pd ?? s.G6PD) staticUpdates.g6pd = s.g6pd ?? s.G6PD;
+  }
+  fixed.staticUpdates = staticUpdates;
+
+  // { MRN: 123, "IP No": "..." } -> { uhid: "123", ipNumber: "..." }; empty / "N/A" entries dropped
+  const identifiers = {};
+  if (isPlainObject(fixed.identifiers)) {
+    const ids = repairStringMap(fixed.identifiers);
+    const pick = (...keys) => keys.map(k => ids[k]).find(v => v && v.trim() !== "" && !/^(n\/?a|nil|-+)$/i.test(v.trim()));
+    const found = {
+      uhid: pick('uhid', 'UHID', 'mrn', 'MRN', 'regNo', 'registrationNumber'),
+      ipNumber: pick('ipNumber', 'ipNo', 'ip_number', 'IP No', 'admissionNumber'),
+      dob: normalizeDateString(pick('dob', 'DOB', 'dateOfBirth')),
+      motherName: pick('motherName', 'mother_name', 'mother', "Mother's Name"),
+      bed: pick('bed', 'bedNo', 'bed_no', 'Bed No'),
+      ward: pick('ward', 'Ward')
+    };
+    Object.entries(found).forEach(([k, v]) => { if (v) identifiers[k] = v.trim(); });
+  }
+  fixed.identifiers = identifiers;
+
+  // { specimen, sample_no, antibiogram: { Meropenem: "S" } } -> { site, sampleId, sensitivities: [{ antibiotic, result }] }
+  const cultures = Array.isArray(fixed.cultures) ? fixed.cultures : isPlainObject(fixed.cultures) ? [fixed.cultures] : [];
+  fixed.cultures = cultures.filter(isPlainObject).map(c => {
+    let sens = c.sensitivities ?? c.sensitivity ?? c.antibiogram ?? c.ast ?? [];
+    if (isPlainObject(sens)) sens = Object.entries(sens).map(([antibiotic, v]) => isPlainObject(v) ? { antibiotic, ...v } : { antibiotic, result: v });
+    const culture = {
+      parameter: c.parameter ?? c.row,
+      site: c.site ?? c.specimen ?? c.sampleType,
+      sampleId: c.sampleId ?? c.sample_id ?? c.sampleNo ?? c.sample_no ?? c.labNo,
+      collectionDate: normalizeDateString(c.collectionDate ?? c.collected),
+      reportDate: normalizeDateString(c.reportDate ?? c.reported),
+      status: c.status,
+      organism: c.organism ?? c.growth ?? c.isolate,
+      colonyCount: c.colonyCount ?? c.cfu,
+      sensitivities: (Array.isArray(sens) ? sens : []).filter(isPlainObject).map(s => ({
+        antibiotic: String(s.antibiotic ?? s.drug ?? s.name ?? ""),
+        result: s.result ?? s.interpretation ?? s.sir ?? "",
+        mic: s.mic ?? s.MIC ?? ""
+      })).filter(s => s.antibiotic).map(s => repairStringMap(s))
+    };
+    const out = repairStringMap(culture);
+    out.sensitivities = culture.sensitivities;
+    return out;
+  });
+  return fixed;
+}
+
+function repairStringMap(obj) {
+  const out = {};
+  Object.entries(obj).forEach(([k, v]) => {
+    if (v == null) return;
+    if (typeof v === 'string') out[k] = v;
+    else if (typeof v === 'number' || typeof v === 'boolean') out[k] = String(v);
+    else if (Array.isArray(v)) out[k] = v.map(x => String(x)).join(' / ');
+    else if (isPlainObject(v) && v.value != null) out[k] = String(v.value);
+  });
+  return out;
+}
+
+function normalizeDateString(v) {
+  if (v == null || v === "") return null;
+  const s = String(v).trim();
+  const pad = n => String(n).padStart(2, '0');
+  const build = (y, m, d) => {
+    const year = String(y).length === 2 ? `20${y}` : String(y);
+    const iso = `${year}-${pad(m)}-${pad(d)}`;
+    return isValidIsoDate(iso) ? iso : null;
+  };
+
+  let m = s.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})/);          // 2025-01-05, 2025/1/5, 2025-01-05T10:00
+  if (m) return build(m[1], m[2], m[3]);
+  m = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})/);           // 05/01/2025 (Indian labs: day first)
+  if (m) return build(m[3], m[2], m[1]);
+
+  const months = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+  m = s.match(/^(\d{1,2})[\s\-\/.]*([a-z]{3})[a-z]*[\s\-\/.,]*(\d{2,4})/i); // 05 Jan 2025, 05-Jan-25
+  if (m && months.includes(m[2].toLowerCase())) return build(m[3], months.indexOf(m[2].toLowerCase()) + 1, m[1]);
+  m = s.match(/^([a-z]{3})[a-z]*[\s\-\/.]*(\d{1,2})[\s,]+(\d{2,4})/i);     // Jan 5, 2025
+  if (m && months.includes(m[1].toLowerCase())) return build(m[3], months.indexOf(m[1].toLowerCase()) + 1, m[2]);
+  return null;
+}
+
+function normalizeTimeString(v) {
+  const m = String(v || "").trim().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*(am|pm)?/i);
+  if (!m) return null;
+  let h = parseInt(m[1]);
+  if (m[3] && m[3].toLowerCase() === 'pm' && h < 12) h += 12;
+  if (m[3] && m[3].toLowerCase() === 'am' && h === 12) h = 0;
+  return h < 24 && parseInt(m[2]) < 60 ? `${String(h).padStart(2, '0')}:${m[2]}` : null;
+}
+
+// Nothing is dropped silently: a file we still can't read goes to the Inbox with the reason.
+function saveExtractionFailure(item, errors) {
+  const reason = `Extraction Failed: ${errors.slice(0, 3).join('; ')}`;
+  const match = item.preMatch || { action: 'INBOX', patient: null, score: 0 };
+  console.error(`[EXTRACTION FAILED] "${item.filename}" -> ${reason}`);
+  const inboxId = saveToInbox({
+    patientName: match.patient ? match.patient.name : "",
+    filename: item.filename,
+    values: {},
+    staticUpdates: {},
+    reportDate: new Date().toISOString().split('T')[0]
+  }, match, reason);
+  saveNotification({
+    patientName: match.patient ? match.patient.name : item.filename,
+    type: 'INBOX',
+    details: `Sent to Inbox: Extraction failed for ${item.filename}`,
+    timestamp: new Date().toISOString()
+  }, match.patient, { type: 'inbox', id: inboxId });
+  return inboxId;
+}
+
+// ==========================================
+// 3. INTELLIGENT MATCHING
+// ==========================================
+// Signals the reports can carry besides the name (requested in the extraction prompt as "identifiers").
+// unique:      a match on its own identifies the patient (beats the name score)
+// forcesInbox: a disagreement always sends the report to the Inbox, whatever the name score
+// bonus:       added to the name score when it agrees
+const IDENTIFIER_SIGNALS = [
+  { key: 'uhid', label: 'UHID/MRN', unique: true, forcesInbox: true, compare: (a, b) => normalizeIdentifier(a) === normalizeIdentifier(b) },
+  { key: 'ipNumber', label: 'IP No', unique: true, forcesInbox: true, compare: (a, b) => normalizeIdentifier(a) === normalizeIdentifier(b) },
+  { key: 'dob', label: 'DOB', forcesInbox: true, bonus: 10, compare: (a, b) => normalizeDateString(a) === normalizeDateString(String(b).slice(0, 10)) },
+  { key: 'motherName', label: "Mother's name", forcesInbox: true, bonus: 10, compare: (a, b) => calculateNameScore(normalizeName(a).name, normalizeName(b).name) >= 75 },
+  { key: 'bed', label: 'Bed', bonus: 5, compare: (a, b) => normalizeIdentifier(a) === normalizeIdentifier(b) },
+  { key: 'ward', label: 'Ward', bonus: 3, compare: (a, b) => normalizeIdentifier(a) === normalizeIdentifier(b) }
+];
+
+// identifiers (optional) = the report's { uhid, ipNumber, dob, motherName, bed, ward }
+// Returns { action, patient, score, conflict, ambiguous, signals, explanation }
+function findBestMatch(labName, patients, identifiers) {
+  const lab = normalizeName(labName);
+  const ids = identifiers || {};
+  console.log(`[MATCH DEBUG] Lab Name: "${labName}" -> Normalized: "${lab.name}" (Ordinal: ${lab.ordinal})`);
+
+  const candidates = [];
+  for (const p of patients) {
+    const app = normalizeName(p.name);
+    const signals = compareIdentifiers(p, ids);
+    const uniqueMatch = signals.some(s => s.result === 'match' && s.unique);
+    if (lab.ordinal !== app.ordinal && !uniqueMatch) continue;
+
+    const nameScore = lab.name ? calculateNameScore(lab.name, app.name) : 0;
+    const bonus = signals.filter(s => s.result === 'match').reduce((t, s) => t + (s.bonus || 0), 0);
+    const score = uniqueMatch ? 100 : Math.min(100, nameScore + bonus);
+    // Ranking is uncapped and penalises disagreeing identifiers, so a DOB can separate two identical names
+    const rank = (uniqueMatch ? 1000 : 0) + nameScore + bonus - 25 * signals.filter(s => s.result === 'conflict').length;
+
+    // Log close matches to help debug
+    if (score > 50) {
+      console.log(`[MATCH DEBUG] Candidate: "${p.name}" -> Norm: "${app.name}" | Name: ${nameScore.toFixed(1)} | Score: ${score.toFixed(1)} | ${signals.map(s => `${s.label} ${s.result}`).join(', ')}`);
+    }
+    candidates.push({ patient: p, score: score, rank: rank, nameScore: nameScore, signals: signals, uniqueMatch: uniqueMatch });
+  }
+  candidates.sort((a, b) => b.rank - a.rank);
+
+  const best = candidates[0];
+  if (!best || best.score === 0) return { action: 'INBOX', patient: null, score: 0, conflict: false, ambiguous: false, signals: [], explanation: "No candidate patient" };
+
+  // Same name twice on the unit (e.g. two mothers called Priya) and nothing on the report tells them apart
+  const runnerUp = candidates[1];
+  const ambiguous = !best.uniqueMatch && !!runnerUp && best.rank - runnerUp.rank < 5 && best.score >= 75;
+  // A report identifier that belongs to someone else, or disagrees with the best candidate's record
+  const conflicts = best.signals.filter(s => s.result === 'conflict' && s.forcesInbox);
+  const claimedByOther = candidates.find(c => c !== best && c.uniqueMatch);
+  if (claimedByOther) conflicts.push({ key: 'uhid', label: `Identifier belongs to ${claimedByOther.patient.name}`, result: 'conflict' });
+  if (best.uniqueMatch && best.nameScore < 50) conflicts.push({ key: 'name', label: `Name (${best.nameScore.toFixed(0)}%)`, result: 'conflict' });
+
+  const conflict = conflicts.length > 0;
+  const action = best.score >= 75 && !conflict && !ambiguous ? 'AUTO_SAVE' : 'INBOX';
+  const explanation = [
+    `Name ${best.nameScore.toFixed(0)}%`,
+    ...best.signals.map(s => `${s.label} ${s.result === 'match' ? 'agrees' : 'DIFFERS'}`),
+    ...conflicts.filter(c => !best.signals.includes(c)).map(c => `${c.label} CONFLICT`),
+    ambiguous ? `Too close to ${runnerUp.patient.name} (${runnerUp.score.toFixed(0)})` : null
+  ].filter(Boolean).join(" · ");
+
+  return { action: action, patient: best.patient, score: best.score, conflict: conflict, ambiguous: ambiguous, signals: best.signals.map(s => ({ key: s.key, label: s.label, result: s.result })), explanation: explanation };
+}
+
+// Every identifier present on BOTH the report and the patient record -> { key, label, result: 'match'|'conflict', ... }
+function compareIdentifiers(patient, ids) {
+  return IDENTIFIER_SIGNALS
+    .filter(sig => ids[sig.key] && patient[sig.key])
+    .map(sig => ({ ...sig, result: sig.compare(ids[sig.key], patient[sig.key]) ? 'match' : 'conflict' }));
+}
+
+// After extraction: a subject/filename match is re-checked against the identifiers printed in the PDF
+function reconcileMatch(preMatch, labData, patients) {
+  const ids = labData.identifiers || {};
+  if (!preMatch || (preMatch.ambiguous && Object.keys(ids).length > 0)) {
+    const contentMatch = findBestMatch(labData.patientName, patients, ids);
+    // Lower threshold for content match (identifiers can still lift the score to AUTO_SAVE)
+    return contentMatch.score > 50 || contentMatch.conflict ? contentMatch : null;
+  }
+  if (Object.keys(ids).length === 0) return preMatch;
+
+  const signals = compareIdentifiers(preMatch.patient, ids);
+  const owner = patients.find(p => p.id !== preMatch.patient.id && compareIdentifiers(p, ids).some(s => s.unique && s.result === 'match'));
+  const conflicts = signals.filter(s => s.result === 'conflict' && s.forcesInbox).map(s => `${s.label} DIFFERS`);
+  if (owner) conflicts.push(`Identifier belongs to ${owner.name}`);
+
+  const explanation = [preMatch.explanation || `Name ${preMatch.score.toFixed(0)}%`, ...signals.filter(s => s.result === 'match').map(s => `${s.label} agrees`), ...conflicts].join(" · ");
+  return {
+    ...preMatch,
+    action: conflicts.length > 0 ? 'INBOX' : preMatch.action,
+    conflict: conflicts.length > 0,
+    signals: signals.map(s => ({ key: s.key, label: s.label, result: s.result })),
+    explanation: explanation
+  };
+}
+
+function normalizeIdentifier(v) {
+  return String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+(?=\d)/, '');
+}
+
+function normalizeName(raw) {
+  if (!raw) return { name: "", ordinal: null };
+  let s = raw.trim().toLowerCase();
+  
+  // 1. Remove common noise (Fix for Subject Lines)
+  s = s.replace(/laboratory report/g, '');
+
+  // Twins, triplets and beyond: "second", "2nd", "(2)", "twin 2", "twin B", "baby B", "triplet III"
+  let ordinal = null;
+  const words = ['first','second','third','fourth','fifth','sixth','seventh','eighth','ninth','tenth'];
+  const romans = ['i','ii','iii','iv','v','vi'];
+  const letterOrdinal = (x) => {
+    if (/^\d+$/.test(x)) return parseInt(x, 10);
+    if (romans.includes(x)) return romans.indexOf(x) + 1;
+    return x.length === 1 ? x.charCodeAt(0) - 96 : null;
+  };
+  const patterns = [
+    [new RegExp(`\\b(${words.join('|')})\\b`), m => words.indexOf(m[1]) + 1],
+    [/\b(\d{1,2})(st|nd|rd|th)\b/, m => parseInt(m[1], 10)],
+    [/\((\d{1,2})\)/, m => parseInt(m[1], 10)],
+    [/\b(?:twin|triplet|quadruplet|quad)\s*[-.]?\s*(\d|[a-f]|i{1,3}|iv|vi?)\b/, m => letterOrdinal(m[1])],
+    [/\bbaby\s*[-.]?\s*([a-f])\b(?!\/)/, m => letterOrdinal(m[1])]
+  ];
+  for (const [re, toOrdinal] of patterns) {
+    const m = s.match(re);
+    if (m) { ordinal = toOrdinal(m); s = s.replace(m[0], ' '); break; }
+  }
+  
+  // 2. Remove prefixes (Handle B/O specifically before stripping symbols)
+  s = s.replace(/b\s*\/\s*o/g, ''); 
+  s = s.replace(/\bb\.\s*o\.?/g, '');
+  s = s.replace(/baby of/g, '');
+  s = s.replace(/\b(baby|mast|miss|twin|triplet|quadruplet|quad|of)\b/g, '');
+
+  // 3. Remove non-alpha characters (replace with space to prevent merging words)
+  s = s.replace(/[^a-z\s]/g, ' ');
+  
+  return { name: s.replace(/\s+/g, ' ').trim(), ordinal: ordinal };
+}
+
+// Best of spelling distance and sound-alike distance ("Priyaa Sarma" ~ "Priya Sharma")
+function calculateNameScore(name1, name2) {
+  return Math.max(calculateSimilarityScore(name1, name2), calculateSimilarityScore(phoneticName(name1), phoneticName(name2)));
+}
+
+// Rough phonetic key tuned for Indian names in English spelling
+function phoneticName(name) {
+  return name.split(/\s+/).map(w => w
+    .replace(/x/g, 'ks').replace(/q/g, 'k').replace(/ck/g, 'k').replace(/w/g, 'v').replace(/z/g, 'j')
+    .replace(/([bdgjkpt])h/g, '$1').replace(/sh/g, 's').replace(/ph/g, 'f')
+    .replace(/ee|ie|y/g, 'i').replace(/oo|ou/g, 'u')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/h$/, '')
+  ).join(' ');
+}
+
+function calculateSimilarityScore(name1, name2) {
+  let parts1 = name1.split(/\s+/).filter(p => p);
+  let parts2 = name2.split(/\s+/).filter(p => p);
+  let str1 = name1, str2 = name2;
+  if (parts1.length === 3 && parts2.length === 2) str1 = parts1[0] + " " + parts1[2];
+  else if (parts2.length === 3 && parts1.length === 2) str2 = parts2[0] + " " + parts2[2];
+  const dist = levenshtein(str1, str2);
+  const maxLen = Math.max(str1.length, str2.length);
+  if (maxLen === 0) return 100;
+  return (1 - dist / maxLen) * 100;
+}
+
+function levenshtein(a, b) {
+  const matrix = [];
+  for (let i = 0; i <= b.length; i++) matrix[i] = [i];
+  for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) == a.charAt(j - 1)) matrix[i][j] = matrix[i - 1][j - 1];
+      else matrix[i][j] = Math.min(matrix[i - 1][j - 1] + 1, Math.min(matrix[i][j - 1] + 1, matrix[i - 1][j] + 1));
+    }
+  }
+  return matrix[b.length][a.length];
+}
+
+// ==========================================
+// 4. FIRESTORE ACTIONS (FIXED REFERENCE ERROR)
+// ==========================================
+function saveToInbox(labData, matchResult, reason) {
+  const payload = {
+    patientName: labData.patientName,
+    receivedAt: new Date().toISOString(),
+    reportDate: labData.reportDate, // Pass the specific date context to frontend
+    data: labData.values,
+    staticUpdates: labData.staticUpdates,
+    filename: labData.filename || null,
+    pages: labData.pages || null, // Page range when the file held several reports
+    suggestedMatchId: matchResult.patient ? matchResult.patient.id : null,
+    matchScore: matchResult.score,
+    matchExplanation: matchResult.explanation || null, // Which signals (name, UHID, DOB...) agreed or conflicted
+    identifiers: labData.identifiers || {},
+    cultures: labData.cultures || [], // Organism + sensitivities, stored as culture records on accept
+    unitIssues: labData.unitIssues || [], // Why values were held back (unknown unit / implausible)
+    confidenceIssues: labData.confidenceIssues || [], // Values the model was unsure of (below EXTRACTION_MIN_CONFIDENCE)
+    evidence: labData.evidence || {}, // label -> { confidence, page, text }: where each value was read, shown next to it
+    minConfidence: CONFIG.extraction.minConfidence,
+    conversions: labData.conversions || {}, // Values converted to our units: label -> as reported
+    flags: labData.flags || {}, // normal/abnormal/critical per parameter (see flagLabValues)
+    provenance: labData.provenance || null, // Copied onto the chart cells when the item is accepted
+    status: "Pending",
+    reason: reason
+  };
+  if (DRY_RUN_PLAN) {
+    DRY_RUN_PLAN.inboxItems.push(payload);
+    return `dry-run-${DRY_RUN_PLAN.inboxItems.length}`;
+  }
+  const doc = firestore.createDocument(CONFIG.pathInbox, payload);
+  return doc && doc.name ? doc.name.split('/').pop() : null;
+}
+
+// patient (optional): patients record the note is about - gives patientId and ward for the dashboard's ward filter.
+// link: what the dashboard opens - { type: 'chart' | 'inbox', id } (default: the patient's chart).
+// Staff mark it read (readBy.<name>) and acknowledge it in the dashboard; section 16 escalates / purges it.
+function saveNotification(note, patient, link) {
+  const full = {
+    severity: NOTIFICATION_SEVERITY[note.type] || 'info',
+    patientId: patient ? patient.id : "",
+    ward: patient ? (patient.ward || "") : "",
+    link: link || (patient ? { type: 'chart', id: patient.id } : null),
+    acknowledged: false,
+    acknowledgedBy: "",
+    acknowledgedAt: "",
+    escalated: false,
+    ...note
+  };
+  if (DRY_RUN_PLAN) { DRY_RUN_PLAN.notifications.push(full); return; }
+  try { firestore.createDocument(CONFIG.pathNotifications, full); } catch(e) { console.error("Failed to save notification", e); }
+}
+
+const CELL_HISTORY_LIMIT = 20; // Previous values kept per chart cell
+
+const CHART_WRITE_ATTEMPTS = 5; // Optimistic-concurrency retries before the report goes to the Inbox
+
+// Charts are written by this script AND the dashboard. Every write is conditional on the document's
+// updateTime; if someone changed the chart in between, the lab values are merged into the fresh copy and
+// the write is retried. If it still can't be written the error reaches processLabReports, which sends
+// the whole report to the Inbox ("Auto-save Failed") - nothing is overwritten or lost.
+// Returns the date key (column) the values were written to.
+// labData.replaceCells = write into reportDate even if the cells hold other values (culture updates).
+function saveToChart(patientId, labData, dictionary) {
+  for (let attempt = 1; attempt <= CHART_WRITE_ATTEMPTS; attempt++) {
+    // 1. READ the latest chart (dry runs read their own simulated copy)
+    const current = DRY_RUN_PLAN && DRY_RUN_PLAN.charts[patientId]
+      ? { exists: true, updateTime: null, chart: JSON.parse(JSON.stringify(DRY_RUN_PLAN.charts[patientId])) }
+      : readChartDocument(patientId);
+
+    const merged = mergeLabDataIntoChart(current.exists ? current.chart : null, labData, dictionary);
+    if (DRY_RUN_PLAN) {
+      planChartWrite(patientId, labData, merged.finalDateKey, merged.plannedCells, merged.payload);
+      return merged.finalDateKey;
+    }
+
+    // 2. WRITE only if nobody touched the chart since we read it (and only the fields this report changed)
+    const changed = current.exists
+      ? Object.keys(merged.payload).filter(k => JSON.stringify(merged.payload[k]) !== JSON.stringify(current.chart[k]))
+      : Object.keys(merged.payload);
+    if (commitChartDocument(patientId, merged.payload, current.exists ? current.updateTime : null, changed)) return merged.finalDateKey;
+    console.log(`🔁 [CHART] ${patientId} changed while saving (attempt ${attempt}/${CHART_WRITE_ATTEMPTS}). Re-reading and merging.`);
+    Utilities.sleep(500 * attempt);
+  }
+  throw new Error(`Chart was being edited and could not be updated after ${CHART_WRITE_ATTEMPTS} attempts`);
+}
+
+// Rows a new chart starts with: the dictionary's defaultRow parameters, Investigations first, in dictionary order
+function defaultChartRows(dictionary) {
+  const rank = p => (p.category === 'Medicines' ? 1000 : 0) + (Number(p.order) || 0);
+  return ((dictionary && dictionary.parameters) || []).filter(p => p.defaultRow).sort((a, b) => rank(a) - rank(b))
+    .map(p => ({ label: p.name, category: p.category || "Investigations", data: {} }));
+}
+
+// Applies one report's values to a chart (null = new chart). Pure: returns { payload, finalDateKey, plannedCells }
+function mergeLabDataIntoChart(chart, labData, dictionary) {
+  // 1. PARSE EXISTING DATA
+  let dates = [];
+  let rows = [];
+  let staticData = {};
+
+  if (chart) {
+    dates = chart.dates || [];
+    // Keep every row field (data, flags, ...) so the write below doesn't drop anything the dashboard stored
+    rows = (chart.rows || []).map(r => ({ ...r, data: r.data || {} }));
+    staticData = chart.static || {};
+  } else {
     // Document doesn't exist, start fresh
-    isNew = true;
-    rows = JSON.parse(JSON.stringify(DEFAULT_ROWS)); // Initialize with standard rows
+    rows = defaultChartRows(dictionary);
   }
   
   // 2. SMART DATE RESOLUTION (Handle Collisions)
@@ -605,7 +1733,7 @@ function saveToChart(patientId, labData) {
     });
   };
 
-  if (dates.includes(targetDate) && hasConflict(targetDate)) {
+  if (dates.includes(targetDate) && hasConflict(targetDate) && !labData.replaceCells) {
     // Conflict found! Try to find the next available slot (e.g. "2023-10-27 (2)")
     let suffix = 2;
     while (true) {
@@ -625,13 +1753,19 @@ function saveToChart(patientId, labData) {
     dates.sort();
   }
 
+  const plannedCells = [];
   for (const [key, value] of Object.entries(labData.values)) {
     let row = rows.find(r => r.label === key);
     if (!row) {
-      row = { label: key, category: "Investigations", data: {} };
+      const param = dictionary ? dictionary.byName[key] : null;
+      row = { label: key, category: param ? param.category : "Investigations", data: {} };
       rows.push(row);
     }
-    row.data[finalDateKey] = value;
+    // Critical-value flag for this cell (dashboard colours it). Normal values clear any stale flag.
+    const flag = labData.flags ? labData.flags[key] : null;
+    plannedCells.push({ label: key, previousValue: row.data[finalDateKey] || null, newValue: value, flag: flag || null });
+    const convertedFrom = labData.conversions ? labData.conversions[key] : null;
+    recordCellValue(row, finalDateKey, value, { ...labData.provenance, ...(convertedFrom ? { convertedFrom: convertedFrom } : {}), source: 'auto-save', user: 'Apps Script' }, flag);
   }
 
   // Update Static Fields
@@ -642,36 +1776,3084 @@ function saveToChart(patientId, labData) {
      }
   }
 
-  // 3. SAVE PAYLOAD (Library handles serialization)
+  // 3. PAYLOAD (version is bumped by every writer, dashboard included)
   const payload = {
+    ...(chart || {}),
     dates: dates,
     rows: rows,
-    static: staticData
+    static: staticData,
+    version: ((chart && chart.version) || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: 'Apps Script'
   };
+  return { payload: payload, finalDateKey: finalDateKey, plannedCells: plannedCells };
+}
+
+// --- Firestore REST for charts (FirestoreApp has no write preconditions) ---
+function firestoreDocumentUrl(path) {
+  return `https://firestore.googleapis.com/v1/projects/${CONFIG.projectId}/databases/(default)/documents/${path}`;
+}
+
+// Service-account OAuth token (same credentials as FirestoreApp), cached for 50 minutes
+function getFirestoreAccessToken() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('firestore_access_token');
+  if (cached) return cached;
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = obj => Utilities.base64EncodeWebSafe(JSON.stringify(obj)).replace(/=+$/, '');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iss: CONFIG.email,
+    scope: 'https://www.googleapis.com/auth/datastore',
+    aud: 'https://oauth2.googleapis.com/token',
+    iat: now,
+    exp: now + 3600
+  })}`;
+  const signature = Utilities.base64EncodeWebSafe(Utilities.computeRsaSha256Signature(unsigned, CONFIG.key)).replace(/=+$/, '');
+  const token = fetchProviderJson('https://oauth2.googleapis.com/token', {
+    method: 'post',
+    payload: { grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion: `${unsigned}.${signature}` }
+  }).access_token;
+  cache.put('firestore_access_token', token, 3000);
+  return token;
+}
+
+// Returns { exists, chart, updateTime }
+function readChartDocument(patientId) {
+  const response = UrlFetchApp.fetch(firestoreDocumentUrl(`${CONFIG.pathCharts}/${patientId}`), {
+    headers: { Authorization: `Bearer ${getFirestoreAccessToken()}` },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() === 404) return { exists: false, chart: null, updateTime: null };
+  if (response.getResponseCode() >= 400) throw new Error(`Chart read failed (HTTP ${response.getResponseCode()}): ${response.getContentText().slice(0, 200)}`);
+  const doc = JSON.parse(response.getContentText());
+  return { exists: true, chart: unwrapFirestoreFields(doc.fields), updateTime: doc.updateTime };
+}
+
+// Conditional write: updateTime = the version we read (null = chart must not exist yet).
+// fieldPaths = top-level fields to write (update mask); fields outside it are left exactly as stored.
+// Returns false when the precondition failed (someone else wrote first).
+function commitChartDocument(patientId, payload, updateTime, fieldPaths) {
+  const precondition = updateTime
+    ? `currentDocument.updateTime=${encodeURIComponent(updateTime)}`
+    : 'currentDocument.exists=false';
+  const mask = fieldPaths.map(k => `updateMask.fieldPaths=${encodeURIComponent(/^[A-Za-z_][A-Za-z0-9_]*$/.test(k) ? k : `\`${k.replace(/[`\\]/g, '\\$&')}\``)}`).join('&');
+  const response = UrlFetchApp.fetch(`${firestoreDocumentUrl(`${CONFIG.pathCharts}/${patientId}`)}?${precondition}${mask ? `&${mask}` : ''}`, {
+    method: 'patch',
+    contentType: 'application/json',
+    headers: { Authorization: `Bearer ${getFirestoreAccessToken()}` },
+    payload: JSON.stringify({ fields: wrapFirestoreFields(Object.fromEntries(fieldPaths.map(k => [k, payload[k]]))) }),
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (code < 300) return true;
+  const body = response.getContentText();
+  if (code === 409 || /FAILED_PRECONDITION|ALREADY_EXISTS|ABORTED/.test(body)) return false;
+  throw new Error(`Chart write failed (HTTP ${code}): ${body.slice(0, 200)}`);
+}
+
+// Firestore types with no plain JS equivalent (bytes, geo points, references, doubles holding a whole number)
+// are read as a FirestoreRawValue: it reads like the value it holds and is written back exactly as stored.
+// Timestamps are read as Dates, which both this file and FirestoreApp write back as timestamps.
+class FirestoreRawValue {
+  constructor(raw, value) { this.raw = raw; this.value = value; }
+  valueOf() { return this.value; }
+  toString() { return String(this.value); }
+  toJSON() { return this.value; }
+}
+
+function wrapFirestoreValue(v) {
+  if (v === null || v === undefined) return { nullValue: null };
+  if (v instanceof FirestoreRawValue) return v.raw;
+  if (typeof v === 'boolean') return { booleanValue: v };
+  if (typeof v === 'number') return Number.isInteger(v) ? { integerValue: String(v) } : { doubleValue: v };
+  if (typeof v === 'string') return { stringValue: v };
+  if (v instanceof Date) return { timestampValue: v.toISOString() };
+  if (Array.isArray(v)) return { arrayValue: { values: v.map(wrapFirestoreValue) } };
+  return { mapValue: { fields: wrapFirestoreFields(v) } };
+}
+
+function wrapFirestoreFields(obj) {
+  const fields = {};
+  for (const [k, v] of Object.entries(obj || {})) if (v !== undefined) fields[k] = wrapFirestoreValue(v);
+  return fields;
+}
+
+// Writes one chart cell and keeps its audit trail (same shape as recordCellChange in the dashboard):
+//   row.provenance[date] = { value, source, messageId, filename, model, user, timestamp }
+//   row.history[date]    = older provenance records, newest last
+function recordCellValue(row, dateKey, value, provenance, flag) {
+  const previous = row.data[dateKey];
+  const current = row.provenance ? row.provenance[dateKey] : null;
+  if (previous === value && current) return; // Same value already charted - keep its original source
+
+  if (previous !== undefined && previous !== null && String(previous).trim() !== "") {
+    const old = current && current.value === previous ? current : { value: previous, source: 'unknown' };
+    row.history = row.history || {};
+    row.history[dateKey] = [...(row.history[dateKey] || []), { ...old, flag: row.flags ? (row.flags[dateKey] || null) : null }].slice(-CELL_HISTORY_LIMIT);
+  }
+
+  row.data[dateKey] = value;
+  row.provenance = { ...(row.provenance || {}), [dateKey]: { ...provenance, value: value, timestamp: new Date().toISOString() } };
+  if (flag === 'abnormal' || flag === 'critical') {
+    row.flags = { ...(row.flags || {}), [dateKey]: flag };
+  } else if (row.flags && row.flags[dateKey]) {
+    delete row.flags[dateKey];
+  }
+}
+
+function unwrapFirestoreValue(v) {
+  if (!v) return null;
+  if ('stringValue' in v) return v.stringValue;
+  if ('integerValue' in v) return Number(v.integerValue);
+  if ('doubleValue' in v) return Number.isInteger(Number(v.doubleValue)) ? new FirestoreRawValue(v, Number(v.doubleValue)) : Number(v.doubleValue);
+  if ('booleanValue' in v) return v.booleanValue;
+  if ('timestampValue' in v) return new Date(v.timestampValue);
+  if ('bytesValue' in v) return new FirestoreRawValue(v, v.bytesValue);
+  if ('referenceValue' in v) return new FirestoreRawValue(v, v.referenceValue);
+  if ('geoPointValue' in v) return new FirestoreRawValue(v, `${v.geoPointValue.latitude || 0},${v.geoPointValue.longitude || 0}`);
+  if ('nullValue' in v) return null;
+  if ('arrayValue' in v) return (v.arrayValue.values || []).map(unwrapFirestoreValue);
+  if ('mapValue' in v) return unwrapFirestoreFields(v.mapValue.fields);
+  return null;
+}
+
+function unwrapFirestoreFields(fields) {
+  const obj = {};
+  for (const [k, v] of Object.entries(fields || {})) obj[k] = unwrapFirestoreValue(v);
+  return obj;
+}
 
-  // Use updateDocument (which usually acts as PATCH/UPSERT in this library)
-  firestore.updateDocument(docPath, payload);
+function saveCriticalAlert(patientName, criticalItems, collectionDate, patient, link) {
+  if (!criticalItems || criticalItems.length === 0) return;
+  const summary = criticalItems.map(c => `${c.label} ${c.value} (${c.reason})`).join(", ");
+  console.log(`🚨 [CRITICAL] ${patientName}: ${summary}`);
+  saveNotification({
+    patientName: patientName,
+    type: 'CRITICAL',
+    severity: 'high',
+    details: `CRITICAL (${collectionDate}): ${summary}`,
+    timestamp: new Date().toISOString()
+  }, patient, link);
 }
 
 // ==========================================
-// DEBUG: CHECK AVAILABLE MODELS
+// 5. REFERENCE RANGES & CRITICAL VALUES
 // ==========================================
-function listGeminiModels() {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${CONFIG.geminiApiKey}`;
-  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-  const json = JSON.parse(response.getContentText());
+// Bands are checked top to bottom; the first band whose maxDol / maxCgaWeeks fits the baby is used.
+// A band without limits is the fallback (also used when DOB is unknown).
+// low/high = reference interval (outside -> abnormal). critLow/critHigh = critical (outside -> critical alert).
+// Values arrive in the units of UNIT_CONVERSIONS (below).
+// These are the defaults: the bands in use live in the parameter dictionary (section 7, "referenceRanges"), which
+// the dashboard's trend graphs read too - change them there, not here.
+const DEFAULT_REFERENCE_RANGES = {
+  "Hb": [ // g/dL
+    { maxDol: 7, low: 14, high: 22, critLow: 10, critHigh: 24 },
+    { maxDol: 28, low: 10, high: 18, critLow: 8, critHigh: 22 },
+    { low: 9, high: 14, critLow: 7, critHigh: 20 }
+  ],
+  "TLC": [ // x10^3/uL
+    { maxDol: 3, low: 9, high: 30, critLow: 4, critHigh: 40 },
+    { maxDol: 28, low: 5, high: 20, critLow: 3, critHigh: 35 },
+    { low: 6, high: 17.5, critLow: 2, critHigh: 30 }
+  ],
+  "Platelets": [ // x10^3/uL
+    { low: 150, high: 450, critLow: 25, critHigh: 1000 }
+  ],
+  "CRP": [ // mg/L
+    { low: 0, high: 6, critHigh: 100 }
+  ],
+  "Na": [ // mmol/L
+    { low: 133, high: 146, critLow: 125, critHigh: 155 }
+  ],
+  "K": [ // mmol/L (higher upper limit in the first week)
+    { maxDol: 7, low: 3.5, high: 6.5, critLow: 2.5, critHigh: 7.0 },
+    { low: 3.5, high: 5.5, critLow: 2.5, critHigh: 6.5 }
+  ],
+  "Cl": [ // mmol/L
+    { low: 96, high: 110, critLow: 85, critHigh: 120 }
+  ],
+  "I. Ca": [ // mmol/L
+    { maxDol: 3, low: 1.0, high: 1.4, critLow: 0.75, critHigh: 1.6 },
+    { low: 1.1, high: 1.4, critLow: 0.8, critHigh: 1.6 }
+  ],
+  "NRBC": [ // /100 WBC
+    { maxDol: 3, low: 0, high: 10 },
+    { low: 0, high: 2 }
+  ],
+  "TSB": [ // mg/dL - preterm babies get lower limits (hour-specific thresholds: checkBilirubinThreshold)
+    { maxCgaWeeks: 30, low: 0, high: 8, critHigh: 12 },
+    { maxCgaWeeks: 35, low: 0, high: 12, critHigh: 15 },
+    { low: 0, high: 15, critHigh: 20 }
+  ],
+  "DSB": [ // mg/dL
+    { low: 0, high: 1.0, critHigh: 5 }
+  ],
+  "PT": [ // seconds
+    { low: 10, high: 16, critHigh: 30 }
+  ],
+  "INR": [
+    { low: 0.8, high: 1.7, critHigh: 3 }
+  ],
+  "APTT": [ // seconds
+    { low: 25, high: 55, critHigh: 100 }
+  ],
+  "Creatinine": [ // mg/dL (maternal creatinine in the first week)
+    { maxDol: 7, low: 0.2, high: 1.0, critHigh: 2.0 },
+    { low: 0.1, high: 0.6, critHigh: 1.5 }
+  ],
+  "SGPT": [ // U/L
+    { low: 0, high: 50, critHigh: 500 }
+  ]
+};
 
-  if (json.error) {
-    console.error("API Error:", json.error);
-    return;
-  }
+// Compound rows are charted as "a / b / c" - each part is checked against its own range
+const COMPOUND_PARAMS = {
+  "Na/K/Cl": ["Na", "K", "Cl"],
+  "Sr.Bili(T/D)": ["TSB", "DSB"],
+  "PT/INR": ["PT", "INR"]
+};
+
+// Our unit for every range key (the unit the reference ranges are written in) and the factor that converts each
+// reported unit to it. Units are matched after normalizeUnit ("lakhs/cu.mm" -> "lakh/ul", "µmol/L" -> "umol/l").
+// infer: units a value reported without one may be in - it is converted only when exactly one of them gives a
+// plausible value ("150000" platelets = /uL), otherwise ("8": 8 x10^3/uL or 8 lakh?) it goes to the Inbox.
+// Without infer a bare number is taken as our unit. plausible: [min, max] in our unit - outside -> Inbox.
+const UNIT_CONVERSIONS = {
+  "Hb": { unit: "g/dL", factors: { "g/dl": 1, "gm/dl": 1, "g%": 1, "gm%": 1, "g/l": 0.1, "mmol/l": 1.611 }, plausible: [2, 30], decimals: 1 },
+  "TLC": { unit: "x10^3/uL", factors: { "10^3/ul": 1, "/ul": 0.001, "lakh/ul": 100 }, infer: ["10^3/ul", "/ul"], plausible: [0.1, 250], decimals: 1 },
+  "Platelets": { unit: "x10^3/uL", factors: { "10^3/ul": 1, "/ul": 0.001, "lakh/ul": 100, "lakh": 100, "10^5/ul": 100 }, infer: ["10^3/ul", "/ul", "lakh/ul"], plausible: [1, 2500], decimals: 0 },
+  "CRP": { unit: "mg/L", factors: { "mg/l": 1, "mg/dl": 10 }, plausible: [0, 500], decimals: 1 },
+  "Na": { unit: "mmol/L", factors: { "mmol/l": 1, "meq/l": 1 }, plausible: [90, 200], decimals: 0 },
+  "K": { unit: "mmol/L", factors: { "mmol/l": 1, "meq/l": 1 }, plausible: [1, 12], decimals: 1 },
+  "Cl": { unit: "mmol/L", factors: { "mmol/l": 1, "meq/l": 1 }, plausible: [60, 160], decimals: 0 },
+  "I. Ca": { unit: "mmol/L", factors: { "mmol/l": 1, "meq/l": 0.5, "mg/dl": 0.2495 }, infer: ["mmol/l", "mg/dl"], plausible: [0.2, 3], decimals: 2 },
+  "NRBC": { unit: "/100 WBC", factors: { "/100wbc": 1, "%": 1 }, plausible: [0, 500], decimals: 0 },
+  "TSB": { unit: "mg/dL", factors: { "mg/dl": 1, "umol/l": 1 / 17.1 }, plausible: [0, 50], decimals: 1 },
+  "DSB": { unit: "mg/dL", factors: { "mg/dl": 1, "umol/l": 1 / 17.1 }, plausible: [0, 30], decimals: 1 },
+  "PT": { unit: "s", factors: { "s": 1 }, plausible: [5, 200], decimals: 1 },
+  "INR": { unit: "", factors: { "ratio": 1 }, plausible: [0.5, 15], decimals: 2 },
+  "APTT": { unit: "s", factors: { "s": 1 }, plausible: [10, 250], decimals: 1 },
+  "Creatinine": { unit: "mg/dL", factors: { "mg/dl": 1, "umol/l": 1 / 88.4 }, plausible: [0.05, 15], decimals: 2 },
+  "SGPT": { unit: "U/L", factors: { "u/l": 1 }, plausible: [0, 10000], decimals: 0 }
+};
 
-  console.log("--- Available Models for your API Key ---");
-  const models = json.models || [];
-  models.forEach(m => {
-    // Only show models that support text generation
-    if (m.supportedGenerationMethods && m.supportedGenerationMethods.includes("generateContent")) {
-      console.log(m.name);
+// How the parts of a compound row are labelled on reports ("Na: 135 K: 4.2 Cl: 101", "Total 12.1 Direct 0.8")
+const COMPOUND_PART_LABELS = {
+  "Na": ["sodium", "na"], "K": ["potassium", "k"], "Cl": ["chloride", "cl"],
+  "TSB": ["total", "tsb", "t"], "DSB": ["direct", "conjugated", "dsb", "d"],
+  "PT": ["prothrombin time", "pt"], "INR": ["inr"]
+};
+
+// Compound rows where a lone number is unambiguous (a bilirubin without a direct fraction is the total)
+const COMPOUND_SINGLE_PART = { "Sr.Bili(T/D)": "TSB" };
+
+function normalizeUnit(unit) {
+  return String(unit || "").toLowerCase()
+    .replace(/[µμ]/g, 'u').replace(/³/g, '^3').replace(/⁹/g, '^9').replace(/⁵/g, '^5')
+    .replace(/\{[^}]*\}/g, '') // UCUM annotations from HL7 feeds: "10*3/uL", "{ratio}"
+    .replace(/\s+/g, '').replace(/^[x×*]/, '').replace(/10e(\d)|10\*(\d)/g, (m, a, b) => `10^${a || b}`)
+    .replace(/cu\.?mm|mm\^?3|cmm|mcl/g, 'ul')
+    .replace(/lakhs?|lacs?/g, 'lakh').replace(/cells|thou(?=\/)/g, m => m === 'cells' ? '' : '10^3')
+    .replace(/^k\/ul$/, '10^3/ul').replace(/^10\^9\/l$/, '10^3/ul')
+    .replace(/^iu\/l$/, 'u/l').replace(/^(sec|secs|seconds)$/, 's')
+    .replace(/^per100wbc$|^\/100wbcs$|^\/100leucocytes$/, '/100wbc')
+    .replace(/\.$/, '');
+}
+
+// Converts one number to our unit. Returns { value, from } (from = the reported text when it was converted)
+// or { error }.
+function convertLabNumber(rangeKey, numberText, unit) {
+  const table = UNIT_CONVERSIONS[rangeKey];
+  const n = parseFloat(numberText);
+  const u = normalizeUnit(unit);
+  const ours = normalizeUnit(table.unit);
+  const factorOf = x => x === ours ? 1 : table.factors[x];
+  let factor = u === "" ? 1 : factorOf(u);
+  if (factor === undefined) return { error: `unrecognised unit "${unit}" for ${rangeKey}` };
+  if (u === "" && table.infer) {
+    const inRange = x => x >= table.plausible[0] && x <= table.plausible[1];
+    const fits = table.infer.filter(x => inRange(n * factorOf(x)));
+    if (fits.length !== 1) {
+      const readings = fits.map(x => `${factorOf(x) === 1 ? numberText : +(n * factorOf(x)).toFixed(table.decimals)} ${table.unit} if ${x}`).join(" or ");
+      return { error: `no unit for ${rangeKey} ${numberText}: ${readings || "implausible in any unit"} - check the report` };
     }
+    factor = factorOf(fits[0]);
+  }
+
+  const value = n * factor;
+  if (value < table.plausible[0] || value > table.plausible[1]) {
+    return { error: `implausible ${rangeKey} ${numberText}${unit ? ` ${unit}` : ""}${factor !== 1 ? ` (= ${+value.toFixed(table.decimals)} ${table.unit})` : ""}` };
+  }
+  if (factor === 1) return { value: numberText, from: null };
+  return { value: String(+value.toFixed(table.decimals)), from: `${numberText}${unit ? ` ${unit}` : " (no unit)"}` };
+}
+
+// "12.5 g/dL", "1.5 lakhs/cumm", "<0.5" -> { qualifier, number, unit }; null when there is no number
+function splitValueAndUnit(text) {
+  const m = String(text).replace(/(\d),(?=\d)/g, '$1').match(/^\s*([<>]=?)?\s*(-?\d+(?:\.\d+)?)\s*(.*?)\s*$/);
+  return m ? { qualifier: m[1] || "", number: m[2], unit: m[3] } : null;
+}
+
+// Splits a compound row into its parts (in COMPOUND_PARAMS order): labelled ("Na 135, K 4.2") or positional
+// ("135 / 4.2 / 101", "135 mmol/L / 4.2 mmol/L / 101 mmol/L"). Returns an array of pieces (null = part missing) or { error }.
+function splitCompoundValue(label, text, parts) {
+  const raw = String(text);
+  const labelPattern = part => COMPOUND_PART_LABELS[part].map(l => l.replace(/ /g, '\\s*')).join('|');
+  const labelled = parts.map(part => {
+    const m = raw.match(new RegExp(`(?:^|[^a-z])(?:${labelPattern(part)})(?:\\s*(?:bilirubin|bili|serum))?\\s*[:=\\-]?\\s*([<>]=?\\s*)?(\\d+(?:\\.\\d+)?)\\s*([a-zµμ%/]*)`, 'i'));
+    if (!m) return null;
+    // A following label ("Na 135 K 4.2") is not a unit
+    const unit = m[3] && UNIT_CONVERSIONS[part] && (normalizeUnit(m[3]) in UNIT_CONVERSIONS[part].factors || normalizeUnit(m[3]) === normalizeUnit(UNIT_CONVERSIONS[part].unit)) ? m[3] : "";
+    return { qualifier: (m[1] || "").trim(), number: m[2], unit: unit };
   });
-}
\ No newline at end of file
+  if (labelled.some(p => p)) return labelled;
+
+  const pieces = raw.split(/\s*(?:\/|,|;|\|)\s*(?=[<>]?\s*-?\d)/).map(splitValueAndUnit);
+  if (pieces.length === 1 && pieces[0] && COMPOUND_SINGLE_PART[label]) return parts.map(part => part === COMPOUND_SINGLE_PART[label] ? pieces[0] : null);
+  if (pieces.length !== parts.length || pieces.some(p => !p)) return { error: `could not split "${raw}" into ${label}` };
+  return pieces;
+}
+
+// Brings one extracted value to our unit(s). Returns null when the parameter has no conversion table,
+// otherwise { value, converted } (converted = what was reported, for the cell's provenance) or { error }.
+// unit = the unit the model reported separately ("units" in the extraction), used when the value has none.
+function normalizeLabValue(label, text, unit) {
+  const parts = COMPOUND_PARAMS[label] || [label];
+  if (!parts.some(p => UNIT_CONVERSIONS[p])) return null;
+
+  if (parts.length === 1) {
+    const piece = splitValueAndUnit(text);
+    if (!piece) return { value: text, converted: null }; // "Positive", "Reactive" ... are charted as reported
+    const res = convertLabNumber(label, piece.number, piece.unit || unit);
+    return res.error ? res : { value: piece.qualifier + res.value, converted: res.from };
+  }
+
+  const pieces = splitCompoundValue(label, text, parts);
+  if (pieces.error) return pieces;
+  // One shared unit ("mmol/L") or one per part ("mg/dL / mg/dL")
+  const units = String(unit || "").split(/\s+\/\s+/);
+  const values = [];
+  const converted = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (!pieces[i]) { values.push("-"); continue; }
+    const res = convertLabNumber(parts[i], pieces[i].number, pieces[i].unit || (units.length === parts.length ? units[i] : units[0]));
+    if (res.error) return res;
+    values.push(pieces[i].qualifier + res.value);
+    if (res.from) converted.push(`${parts[i]} ${res.from}`);
+  }
+  return { value: values.join(" / "), converted: converted.length > 0 ? converted.join(", ") : null };
+}
+
+// Day of life (day of birth = 1). DOB and date are both read as local calendar dates - "2025-01-05" and the date
+// part of "2025-01-05T23:40" - like the dashboard does (new Date("2025-01-05") would be UTC midnight).
+function calculateDOL(dob, onDate) {
+  if (!dob) return null;
+  const localDay = d => {
+    const m = d instanceof Date ? null : String(d).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const x = m ? new Date(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3])) : new Date(d);
+    return new Date(x.getFullYear(), x.getMonth(), x.getDate()).getTime();
+  };
+  const on = onDate ? String(onDate).split(' ')[0] : new Date();
+  const dol = Math.round((localDay(on) - localDay(dob)) / 86400000) + 1; // round: a DST day is not 24 h
+  return isNaN(dol) ? null : dol;
+}
+
+function calculateCGA(dob, gaWeeks, gaDays, onDate) {
+  const dol = calculateDOL(dob, onDate);
+  if (dol === null || !gaWeeks) return null;
+  return ((parseInt(gaWeeks) * 7) + (parseInt(gaDays) || 0) + (dol - 1)) / 7; // in weeks (decimal)
+}
+
+function parseLabNumber(val) {
+  if (val === null || val === undefined) return null;
+  const m = String(val).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return m ? parseFloat(m[0]) : null;
+}
+
+function selectReferenceBand(bands, dol, cga) {
+  if (dol === null) return bands[bands.length - 1];
+  return bands.find(b =>
+    (b.maxDol === undefined || dol <= b.maxDol) &&
+    (b.maxCgaWeeks === undefined || (cga !== null && cga < b.maxCgaWeeks))
+  ) || bands[bands.length - 1];
+}
+
+let referenceRangesCache = null; // { profile, ranges } - set by loadParameterDictionary, once per run and unit
+
+// The unit's reference bands by range key (config/parameter_dictionary)
+function referenceRanges() {
+  if (!referenceRangesCache || referenceRangesCache.profile !== CONFIG.profile) loadParameterDictionary();
+  return referenceRangesCache.ranges;
+}
+
+function classifyNumber(rangeKey, n, dol, cga) {
+  const bands = referenceRanges()[rangeKey];
+  if (!bands || n === null) return null;
+  const b = selectReferenceBand(bands, dol, cga);
+  if (b.critLow !== undefined && n < b.critLow) return { status: 'critical', reason: `< ${b.critLow}` };
+  if (b.critHigh !== undefined && n > b.critHigh) return { status: 'critical', reason: `> ${b.critHigh}` };
+  if (b.low !== undefined && n < b.low) return { status: 'abnormal', reason: `< ${b.low}` };
+  if (b.high !== undefined && n > b.high) return { status: 'abnormal', reason: `> ${b.high}` };
+  return { status: 'normal', reason: '' };
+}
+
+// Flags every value we have a reference range for.
+// Returns { flags: { label: 'normal'|'abnormal'|'critical' }, critical: [{ label, value, reason }] }
+function flagLabValues(values, patient, onDate) {
+  const flags = {};
+  const critical = [];
+  const dol = patient ? calculateDOL(patient.dob, onDate) : null;
+  const cga = (patient && patient.termStatus !== 'Pediatric') ? calculateCGA(patient.dob, patient.birthGaWeeks, patient.birthGaDays, onDate) : null;
+  const rank = { normal: 0, abnormal: 1, critical: 2 };
+
+  Object.entries(values || {}).forEach(([label, val]) => {
+    if (typeof val !== 'string' && typeof val !== 'number') return;
+    const parts = COMPOUND_PARAMS[label] || [label];
+    const pieces = parts.length > 1 ? String(val).split('/') : [val];
+    let worst = null;
+    const reasons = [];
+
+    parts.forEach((rangeKey, idx) => {
+      const n = parseLabNumber(pieces[idx]); // Already in our unit (sanitizeLabResult -> normalizeLabValue)
+      if (n === null) return;
+      const res = classifyNumber(rangeKey, n, dol, cga);
+      if (!res) return;
+      if (!worst || rank[res.status] > rank[worst]) worst = res.status;
+      if (res.status === 'critical') reasons.push(`${parts.length > 1 ? rangeKey + ' ' : ''}${res.reason}`);
+    });
+
+    if (!worst) return;
+    flags[label] = worst;
+    if (worst === 'critical') critical.push({ label, value: String(val).trim(), reason: reasons.join('; ') });
+  });
+
+  return { flags, critical };
+}
+
+// ==========================================
+// 6. ATTACHMENT LEDGER (ONE RECORD PER FILE, KEYED BY SHA-256)
+// ==========================================
+// status: queued -> extracted -> charted | inboxed
+//         failed (retried next run) -> dead_letter after CONFIG.maxAttachmentAttempts
+//         retry (set by the dashboard on a dead letter) -> queued
+const LEDGER_FINAL_STATUSES = ['charted', 'inboxed', 'dead_letter', 'dismissed'];
+
+function computeAttachmentHash(att) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, att.getBytes());
+  return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+// A report photographed page by page is keyed by all of its pages (the same photos forwarded again are a duplicate)
+function computeReportHash(pages) {
+  if (pages.length === 1) return computeAttachmentHash(pages[0]);
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, pages.map(computeAttachmentHash).join(','));
+  return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+function getLedgerEntry(hash) {
+  try {
+    const doc = firestore.getDocument(`${CONFIG.pathLedger}/${hash}`);
+    return { ...unwrapFirestoreFields(doc.fields), hash: hash };
+  } catch (e) {
+    return null; // Never seen this content before
+  }
+}
+
+function updateLedgerEntry(hash, fields) {
+  if (DRY_RUN_PLAN) { DRY_RUN_PLAN.ledger.push({ hash: hash, status: fields.status || null }); return; }
+  try {
+    firestore.updateDocument(`${CONFIG.pathLedger}/${hash}`, { ...fields, hash: hash, updatedAt: new Date().toISOString() }, true);
+  } catch (e) { console.error(`[LEDGER] Failed to update ${hash}`, e); }
+}
+
+function recordAttachmentFailure(item, errors) {
+  const attempts = (item.ledger.attempts || 0) + 1;
+  const lastError = errors.join('; ');
+  item.ledger.attempts = attempts;
+
+  if (attempts < CONFIG.maxAttachmentAttempts) {
+    console.log(`[LEDGER] "${item.filename}" failed (attempt ${attempts}/${CONFIG.maxAttachmentAttempts}). Will retry next run.`);
+    updateLedgerEntry(item.hash, { status: 'failed', attempts: attempts, lastError: lastError });
+    return;
+  }
+
+  console.error(`☠️ [DEAD LETTER] "${item.filename}" failed ${attempts} times: ${lastError}`);
+  const inboxId = saveExtractionFailure(item, errors);
+  updateLedgerEntry(item.hash, {
+    status: 'dead_letter',
+    attempts: attempts,
+    lastError: lastError,
+    inboxDocIds: inboxId ? [inboxId] : [],
+    deadLetteredAt: new Date().toISOString()
+  });
+  item.done = true;
+}
+
+function getLedgerRetryRequests() {
+  try {
+    return firestore.query(CONFIG.pathLedger).Where("status", "==", "retry").Execute()
+      .map(doc => ({ ...unwrapFirestoreFields(doc.fields), hash: doc.name.split('/').pop() }));
+  } catch (e) {
+    console.error("[LEDGER] Failed to load retry requests", e);
+    return [];
+  }
+}
+
+// Re-fetches dead-letter attachments from Gmail (their threads are usually already labeled) or from the upload.
+// HL7 / CSV files come back with their format set and are re-parsed instead of extracted.
+function queueLedgerRetries(entries, allPatients, learnedAliases) {
+  const queue = [];
+  entries.forEach(entry => {
+    try {
+      if (entry.uploadId) {
+        const item = loadUploadItem(entry.uploadId, allPatients);
+        if (item.hash !== entry.hash) throw new Error("Upload no longer matches the failed file");
+        console.log(`[LEDGER] Retrying upload "${item.filename}" (requested from dashboard).`);
+        updateLedgerEntry(entry.hash, { status: 'queued' });
+        queue.push({ ...item, ledger: entry });
+        return;
+      }
+      const msg = GmailApp.getMessageById(entry.messageId);
+      const pages = findLedgerPages(msg.getAttachments(), entry);
+      if (!pages) throw new Error("Attachment is no longer in the email");
+      const att = pages[0];
+
+      const subjectMatch = findBestMatch(msg.getSubject(), allPatients);
+      const fileMatch = findBestMatch(att.getName(), allPatients);
+      const aliasMatch = matchLearnedAlias(learnedAliases, { filename: att.getName(), sender: msg.getFrom() });
+      const preMatch = aliasMatch || (subjectMatch.score > 75 ? subjectMatch : (fileMatch.score > 75 ? fileMatch : null));
+
+      console.log(`[LEDGER] Retrying "${att.getName()}" (requested from dashboard).`);
+      updateLedgerEntry(entry.hash, { status: 'queued' });
+      queue.push({ blob: att, pages: pages, filename: att.getName(), format: pages.length === 1 ? detectStructuredFormat(att) : null, preMatch: preMatch, thread: msg.getThread(), messageId: entry.messageId, sender: msg.getFrom(), hash: entry.hash, ledger: entry });
+    } catch (e) {
+      console.error(`[LEDGER] Cannot retry "${entry.filename}": ${e.message}`);
+      updateLedgerEntry(entry.hash, { status: 'dead_letter', lastError: `Retry failed: ${e.message}` });
+    }
+  });
+  return queue;
+}
+
+// The attachments of a ledger entry in its email (by index, else re-found by content hash), null when gone
+function findLedgerPages(attachments, entry) {
+  const pages = (entry.attachmentIndexes || [entry.attachmentIndex]).map(i => attachments[i]);
+  if (pages.every(Boolean) && computeReportHash(pages) === entry.hash) return pages;
+  const att = attachments.find(a => computeAttachmentHash(a) === entry.hash);
+  return att ? [att] : null;
+}
+
+// ==========================================
+// 7. PARAMETER DICTIONARY (config/parameter_dictionary)
+// ==========================================
+// One versioned document shared with the dashboard (row order, "+ Add Row" list, admin editor).
+// type:    numeric (units stripped) | text
+// routing: general (auto-charted on collection date) | culture (culture record, charted on its collection date)
+//          ignore (dropped, e.g. hemogram indices) | static (moved to chart.static[staticKey])
+// loinc:   code for the FHIR export (compound rows: "a / b / c" in the order of their value)
+// defaultRow: a row every new chart starts with (Apps Script and dashboard alike)
+// Anything not in the dictionary is a "New Parameter" and goes to the Inbox.
+// Besides parameters the document holds referenceRanges (the bands of section 5, editable in Firestore), and
+// rangeUnits / compoundParams, which this script rewrites from UNIT_CONVERSIONS / COMPOUND_PARAMS because the
+// conversions depend on them. The dashboard reads all three for its trend graphs instead of keeping copies, and
+// uploadTypes (rewritten from REPORT_FILE_TYPES / STRUCTURED_FORMATS) for what its Upload button accepts.
+const DEFAULT_PARAMETER_DICTIONARY = {
+  version: 1,
+  parameters: [
+    { name: "Hb", aliases: ["Hemoglobin", "HGB", "Haemoglobin"], type: "numeric", routing: "general", category: "Investigations", order: 0, loinc: "718-7", defaultRow: true },
+    { name: "TLC", aliases: ["WBC Count", "Total WBC", "WBC", "Leukocyte Count", "Total Leucocyte Count", "T.L.C"], type: "numeric", routing: "general", category: "Investigations", order: 1, loinc: "6690-2", defaultRow: true },
+    { name: "Platelets", aliases: ["Platelet Count", "PLT", "Platelet", "PLT Count"], type: "numeric", routing: "general", category: "Investigations", order: 2, loinc: "777-3", defaultRow: true },
+    { name: "CRP", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 3, loinc: "1988-5", defaultRow: true },
+    { name: "Na/K/Cl", aliases: [], type: "text", routing: "general", category: "Investigations", order: 4, prompt: "Na / K / Cl", loinc: "2951-2 / 2823-3 / 2075-0", defaultRow: true },
+    { name: "I. Ca", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 5, loinc: "1994-3" },
+    { name: "NRBC", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 6, loinc: "58413-6" },
+    { name: "Sr.Bili(T/D)", aliases: [], type: "text", routing: "general", category: "Investigations", order: 7, prompt: "Total / Direct", loinc: "1975-2 / 1968-7" },
+    { name: "PT/INR", aliases: [], type: "text", routing: "general", category: "Investigations", order: 8, prompt: "PT / INR", loinc: "5902-2 / 6301-6" },
+    { name: "APTT", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 9, loinc: "3173-2" },
+    { name: "Creatinine", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 10, loinc: "2160-0" },
+    { name: "SGPT", aliases: [], type: "numeric", routing: "general", category: "Investigations", order: 11, loinc: "1742-6" },
+    { name: "Blood CS", aliases: [], type: "text", routing: "culture", category: "Investigations", order: 12, prompt: "Organism or 'No growth' or 'No growth (interim)'", loinc: "600-7" },
+    { name: "BAL CS", aliases: [], type: "text", routing: "culture", category: "Investigations", order: 13, prompt: "Organism", loinc: "6463-4" },
+    { name: "Tip CS", aliases: [], type: "text", routing: "culture", category: "Investigations", order: 14, prompt: "Type - Organism", loinc: "6463-4" },
+    { name: "POCUS", aliases: [], type: "text", routing: "general", category: "Investigations", order: 15, prompt: "Findings" },
+    { name: "Antibiotics", aliases: [], type: "text", routing: "general", category: "Medicines", order: 0 },
+    { name: "Blood products", aliases: [], type: "text", routing: "general", category: "Medicines", order: 1 },
+    { name: "Anti Apnea", aliases: [], type: "text", routing: "general", category: "Medicines", order: 2 },
+    { name: "Inotropes", aliases: [], type: "text", routing: "general", category: "Medicines", order: 3 },
+    { name: "Blood Group", aliases: ["Blood Group & Rh", "BG", "Blood Group and Rh"], type: "text", routing: "static", staticKey: "bloodGroup", category: "Investigations", order: 100, loinc: "882-1" },
+    { name: "G6PD", aliases: ["G6PD Status", "Glucose-6-Phosphate Dehydrogenase"], type: "text", routing: "static", staticKey: "g6pd", category: "Investigations", order: 101, loinc: "2357-2" },
+    // Ignore common Hemogram/Diff indices to prevent Inbox spam (User request: "in other than hemogram page")
+    ...["MCV", "MCH", "MCHC", "RDW", "PCV", "Hct", "Monocytes", "Eosinophils", "Basophils", "MPV", "PDW", "PCT", "RBC", "RBC Count", "Mean Platelet Volume"]
+      .map((name, i) => ({ name: name, aliases: [], type: "numeric", routing: "ignore", category: "Investigations", order: 200 + i })),
+    { name: "Neutrophils", aliases: ["Neutrophil Count"], type: "numeric", routing: "ignore", category: "Investigations", order: 215 },
+    { name: "Lymphocytes", aliases: ["Lymphocyte Count"], type: "numeric", routing: "ignore", category: "Investigations", order: 216 },
+    // Metadata that sometimes sneaks into values
+    { name: "Sample Type", aliases: ["Specimen"], type: "text", routing: "ignore", category: "Investigations", order: 300 }
+  ]
+};
+
+// The fields the script owns in the dictionary document (see above)
+function sharedDictionaryFields(ranges) {
+  const rangeUnits = {};
+  Object.entries(UNIT_CONVERSIONS).forEach(([key, table]) => { rangeUnits[key] = table.unit; });
+  // { pdf, image, structured }: content types and extensions of each kind of file this script reads
+  const uploadTypes = { pdf: [], image: [], structured: [] };
+  Object.entries(REPORT_FILE_TYPES).forEach(([type, extensions]) => uploadTypes[type === "application/pdf" ? 'pdf' : 'image'].push(type, ...extensions));
+  Object.values(STRUCTURED_FORMATS).forEach(f => uploadTypes.structured.push(...f.extensions));
+  return { referenceRanges: ranges || DEFAULT_REFERENCE_RANGES, rangeUnits: rangeUnits, compoundParams: COMPOUND_PARAMS, uploadTypes: uploadTypes };
+}
+
+// Loads the dictionary (seeding Firestore with the defaults the first time) and indexes it
+function loadParameterDictionary() {
+  let dict = null;
+  try {
+    const doc = firestore.getDocument(CONFIG.pathDictionary);
+    dict = unwrapFirestoreFields(doc.fields);
+    console.log(`📖 Loaded parameter dictionary v${dict.version} (${(dict.parameters || []).length} parameters).`);
+    // Dictionaries from before the ranges moved here, or after a unit / compound row changed in this script
+    const shared = sharedDictionaryFields(dict.referenceRanges);
+    // Dictionaries from before defaultRow: the rows new charts started with until then are flagged, once
+    if (Array.isArray(dict.parameters) && dict.parameters.length > 0 && !dict.parameters.some(p => p.defaultRow !== undefined)) {
+      const defaults = new Set(DEFAULT_PARAMETER_DICTIONARY.parameters.filter(p => p.defaultRow).map(p => p.name));
+      shared.parameters = dict.parameters.map(p => ({ ...p, defaultRow: defaults.has(p.name) }));
+    }
+    // Compared key by key: Firestore hands maps back in its own key order
+    const differs = (a, b) => !a || Object.keys(a).length !== Object.keys(b).length || Object.keys(b).some(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+    const stale = Object.keys(shared).filter(k => differs(dict[k], shared[k]));
+    if (stale.length > 0 && !DRY_RUN_PLAN) {
+      const update = {};
+      stale.forEach(k => { update[k] = shared[k]; });
+      try {
+        firestore.updateDocument(CONFIG.pathDictionary, update, true);
+        console.log(`📖 Wrote ${stale.join(", ")} to the parameter dictionary.`);
+      } catch (err) { console.error("Failed to update the parameter dictionary", err); }
+    }
+    dict = { ...dict, ...shared };
+  } catch (e) {
+    console.log("📖 No parameter dictionary yet. Seeding Firestore with the defaults.");
+    dict = { ...DEFAULT_PARAMETER_DICTIONARY, ...sharedDictionaryFields(), updatedAt: new Date().toISOString(), updatedBy: "Apps Script (defaults)" };
+    try {
+      if (!DRY_RUN_PLAN) firestore.updateDocument(CONFIG.pathDictionary, dict);
+    } catch (err) { console.error("Failed to seed parameter dictionary", err); }
+  }
+  referenceRangesCache = { profile: CONFIG.profile, ranges: dict.referenceRanges };
+  if (!dict.parameters || dict.parameters.length === 0) dict = { ...DEFAULT_PARAMETER_DICTIONARY, ...sharedDictionaryFields(dict.referenceRanges) };
+  return indexParameterDictionary(dict);
+}
+
+function indexParameterDictionary(dict) {
+  const byName = {};
+  const aliasMap = {}; // lower-case name/alias -> canonical name
+  dict.parameters.forEach(p => {
+    byName[p.name] = p;
+    aliasMap[p.name.trim().toLowerCase()] = p.name;
+    (p.aliases || []).forEach(a => { aliasMap[String(a).trim().toLowerCase()] = p.name; });
+  });
+  return { ...dict, byName: byName, aliasMap: aliasMap };
+}
+
+function resolveParameterName(dictionary, rawKey) {
+  const key = String(rawKey).trim();
+  return dictionary.aliasMap[key.toLowerCase()] || key;
+}
+
+// Cleans one extraction result in place and splits its values by routing.
+// Values whose unit can't be converted (or that are implausible) are held back for review, and so are values
+// (and static fields) the model rated below CONFIG.extraction.minConfidence. A value with a missing or unreadable
+// confidence (a model that ignored the instruction) is held too; templates and structured feeds set 1 themselves.
+// Returns { generalValues, cultureValues, newValues, reviewValues, unitIssues, unsureValues, unsureStatic, confidenceIssues }
+function sanitizeLabResult(labData, dictionary) {
+  // --- ALIAS MAPPING (Fix for WBC -> TLC, etc.) ---
+  const normalizedValues = {};
+  Object.entries(labData.values).forEach(([k, v]) => {
+    normalizedValues[resolveParameterName(dictionary, k)] = v;
+  });
+  labData.values = normalizedValues;
+  const units = {};
+  Object.entries(labData.units || {}).forEach(([k, v]) => { units[resolveParameterName(dictionary, k)] = v; });
+  labData.units = units;
+  const evidence = {};
+  Object.entries(labData.evidence || {}).forEach(([k, v]) => { evidence[resolveParameterName(dictionary, k)] = v; });
+  labData.evidence = evidence;
+
+  // --- SANITIZATION (Fix Llama Hallucinations) ---
+  // 1. Move Blood Group AND G6PD (routing: static) to staticUpdates if the model put them in values
+  Object.keys(labData.values).forEach(k => {
+    const param = dictionary.byName[k];
+    if (param && param.routing === 'static') {
+      if (labData.values[k]) labData.staticUpdates[param.staticKey] = labData.values[k];
+      if (labData.evidence[k]) labData.evidence[param.staticKey] = labData.evidence[k];
+      delete labData.values[k];
+    }
+  });
+
+  // 2. Remove Placeholder/Junk Keys
+  const junkKeys = ["AnyOtherParam", "Other Param", "Value", "Parameter", "Test Name", "Result", "Observed Value"];
+  junkKeys.forEach(k => delete labData.values[k]);
+  
+  // Extra safety: Remove keys containing "AnyOther" or "Placeholder"
+  Object.keys(labData.values).forEach(k => {
+    if (k.toLowerCase().includes("anyother") || k.toLowerCase().includes("placeholder")) delete labData.values[k];
+  });
+  
+  // 3. CLEANUP VALUES (Units & "Not Found")
+  const reviewValues = {};
+  const unitIssues = [];
+  labData.conversions = {}; // label -> value as reported, kept in the cell's provenance
+  Object.keys(labData.values).forEach(k => {
+    let val = labData.values[k];
+    if (typeof val !== 'string') return;
+    
+    // A. Remove "Not Found", "Not Done", etc.
+    const lower = val.toLowerCase().trim();
+    const invalidPhrases = ["not found", "not done", "pending", "test not performed", "see below", "comment", "note", "not detected", "sample not received"];
+    if (invalidPhrases.some(phrase => lower.includes(phrase)) || lower === "value") {
+      delete labData.values[k];
+      return;
+    }
+
+    // B. Convert to our unit (e.g. "1.5 lakhs/cumm" -> "150", "205 umol/L" -> "12") and split compound rows.
+    //    Unknown units and implausible numbers are not charted - they go to the Inbox for review.
+    const normalized = normalizeLabValue(k, val, labData.units[k]);
+    if (normalized && normalized.error) {
+      reviewValues[k] = labData.units[k] && !/[a-z%]/i.test(val) ? `${val} ${labData.units[k]}` : val;
+      unitIssues.push(normalized.error);
+      return;
+    }
+    if (normalized) {
+      labData.values[k] = normalized.value;
+      if (normalized.converted) labData.conversions[k] = normalized.converted;
+      return;
+    }
+
+    // C. No conversion table: remove units from other numeric fields (e.g. "12.5 g/dL" -> "12.5")
+    const param = dictionary.byName[k];
+    if (param && param.type === 'numeric') {
+       // Replace anything that isn't a digit, dot, or comma
+       const cleaned = val.replace(/[^\d\.,]/g, '').trim();
+       // Only update if we actually have a number left (prevents deleting "Positive" for CRP if applicable)
+       if (cleaned.length > 0 && /\d/.test(cleaned)) {
+         labData.values[k] = cleaned;
+       }
+    }
+  });
+
+  // SPLIT PARAMETERS (Culture vs General vs New)
+  const generalValues = {};
+  const cultureValues = {};
+  const newValues = {};
+
+  // 4. CONFIDENCE: a value the model had to guess (blurred scan, handwriting) waits for a human with its evidence.
+  //    No confidence (missing or unreadable) counts as unsure: templates and structured feeds set 1 themselves.
+  const unsureValues = {};
+  const unsureStatic = {};
+  const confidenceIssues = [];
+  const confidenceOf = k => labData.evidence[k] && typeof labData.evidence[k].confidence === 'number' ? labData.evidence[k].confidence : null;
+  const isUnsure = k => confidenceOf(k) === null || confidenceOf(k) < CONFIG.extraction.minConfidence;
+  const describeUnsure = (k, v) => {
+    const page = labData.evidence[k] && labData.evidence[k].page ? `, page ${labData.evidence[k].page}` : '';
+    return `${k} ${v} (${confidenceOf(k) === null ? 'no confidence given' : `${Math.round(confidenceOf(k) * 100)}% sure`}${page})`;
+  };
+
+  Object.entries(labData.values).forEach(([k, v]) => {
+    const routing = dictionary.byName[k] ? dictionary.byName[k].routing : null;
+    if (k in reviewValues) return;
+    if ((routing === 'culture' || routing === 'general') && isUnsure(k)) {
+      unsureValues[k] = v;
+      confidenceIssues.push(describeUnsure(k, v));
+      return;
+    }
+    if (routing === 'culture') cultureValues[k] = v;
+    else if (routing === 'general') generalValues[k] = v;
+    else if (routing !== 'ignore') newValues[k] = v;
+  });
+  Object.entries(labData.staticUpdates).forEach(([k, v]) => {
+    if (!isUnsure(k)) return;
+    unsureStatic[k] = v;
+    confidenceIssues.push(describeUnsure(k, v));
+  });
+
+  Object.assign(labData.values, reviewValues); // Inbox items show what the lab reported
+  labData.unitIssues = unitIssues;
+  labData.confidenceIssues = confidenceIssues;
+  return { generalValues, cultureValues, newValues, reviewValues, unitIssues, unsureValues, unsureStatic, confidenceIssues };
+}
+
+// ==========================================
+// 8. DRY RUN (Full pipeline, no writes)
+// ==========================================
+// Run dryRunLabReports() from the editor. processLabReports runs unchanged (Gmail search, matching,
+// extraction, sanitisation, routing) but every write below is captured into DRY_RUN_PLAN instead:
+// saveToChart, saveToInbox, saveCultureReports, saveNotification, updateLedgerEntry and thread labels.
+// The plan is stored in public/data/dry_runs for the dashboard's "Dry Runs" diff view (one plan per active profile).
+// If gemini_brain has draftInstructions they are used instead of the live instructions, so a
+// rule change can be tried before it is saved.
+let DRY_RUN_PLAN = null;
+
+function dryRunLabReports() {
+  return forEachProfile(() => {
+    DRY_RUN_PLAN = {
+      createdAt: new Date().toISOString(),
+      profile: CONFIG.profile,
+      emailQuery: CONFIG.emailQuery,
+      provider: `${CONFIG.extraction.provider}/${CONFIG.extraction.model || 'default'}`,
+      instructionsSource: 'live',
+      files: [],          // One per extracted PDF: match + route
+      chartCells: [],     // Every cell saveToChart would write (with the column it would pick)
+      staticUpdates: [],
+      inboxItems: [],
+      cultures: [],       // Culture records that would be created/updated
+      notifications: [],
+      ledger: [],         // Status changes the ledger would record
+      threadsToLabel: [],
+      charts: {}          // Simulated chart state (not stored) so later files see earlier planned cells
+    };
+
+    let plan;
+    try {
+      processLabReports();
+    } finally {
+      plan = DRY_RUN_PLAN;
+      DRY_RUN_PLAN = null;
+    }
+
+    const { charts, ...doc } = plan;
+    doc.summary = {
+      files: doc.files.length,
+      chartCells: doc.chartCells.length,
+      newColumns: doc.chartCells.filter(c => c.collision).length,
+      inboxItems: doc.inboxItems.length,
+      cultures: doc.cultures.length,
+      notifications: doc.notifications.length,
+      threadsToLabel: doc.threadsToLabel.length
+    };
+    const saved = firestore.createDocument(CONFIG.pathDryRuns, doc);
+    console.log(`🧪 [DRY RUN] ${JSON.stringify(doc.summary)} -> ${saved && saved.name ? saved.name.split('/').pop() : 'saved'}`);
+    return doc;
+  });
+}
+
+function planChartWrite(patientId, labData, finalDateKey, cells, chart) {
+  DRY_RUN_PLAN.charts[patientId] = JSON.parse(JSON.stringify(chart));
+  cells.forEach(c => DRY_RUN_PLAN.chartCells.push({
+    patientId: patientId,
+    filename: labData.provenance ? labData.provenance.filename : null,
+    requestedDate: labData.reportDate,
+    dateKey: finalDateKey,
+    collision: finalDateKey !== labData.reportDate, // saveToChart had to open a "Date (n)" column
+    ...c
+  }));
+  Object.entries(labData.staticUpdates || {}).forEach(([key, value]) => {
+    if (value && value.trim() !== "" && value !== "-") DRY_RUN_PLAN.staticUpdates.push({ patientId: patientId, key: key, value: value });
+  });
+}
+
+function labelThread(thread, label, oldLabel) {
+  if (DRY_RUN_PLAN) {
+    DRY_RUN_PLAN.threadsToLabel.push(thread.getFirstMessageSubject());
+    return;
+  }
+  thread.addLabel(label);
+  if (oldLabel) thread.removeLabel(oldLabel);
+}
+
+// ==========================================
+// 9. LEARNED PATIENT ALIASES (public/data/patient_aliases)
+// ==========================================
+// Written by the dashboard when staff accept an Inbox item for a patient other than the suggestion:
+// { patientId, labName, sender, filename, createdAt, createdBy }. Checked before fuzzy matching.
+// Aliases of deleted or discharged patients expire (are removed) on the next run.
+function loadPatientAliases(allPatients) {
+  let docs = [];
+  try { docs = firestore.getDocuments(CONFIG.pathAliases); } catch (e) { return []; }
+
+  const aliases = [];
+  docs.forEach(doc => {
+    const id = doc.name.split('/').pop();
+    const alias = { id: id, ...unwrapFirestoreFields(doc.fields) };
+    const patient = allPatients.find(p => p.id === alias.patientId);
+    if (!patient || (patient.status && patient.status !== 'Active')) {
+      console.log(`[ALIAS] Expiring "${alias.labName || alias.filename}" (patient ${patient ? patient.status : 'deleted'}).`);
+      if (!DRY_RUN_PLAN) {
+        try { firestore.deleteDocument(`${CONFIG.pathAliases}/${id}`); } catch (e) { console.error(`[ALIAS] Failed to remove ${id}`, e); }
+      }
+      return;
+    }
+    const norm = normalizeName(alias.labName);
+    aliases.push({
+      ...alias,
+      patient: patient,
+      normName: norm.name,
+      ordinal: norm.ordinal,
+      senderEmail: normalizeSender(alias.sender),
+      filenamePattern: aliasFilenamePattern(alias.filename, norm.name)
+    });
+  });
+  if (aliases.length > 0) console.log(`📇 Loaded ${aliases.length} learned patient aliases.`);
+  return aliases;
+}
+
+// source = { name, sender, filename } (any may be missing). Returns a match result or null.
+// Both kinds of alias only count for the sender they were learned from (aliases of discharged patients are
+// dropped by loadPatientAliases). patients (optional): when another admitted baby's name fits the report's name
+// as well - a new "Baby of Priya" after the one the alias was learned for - the match goes to the Inbox as ambiguous.
+function matchLearnedAlias(aliases, source, patients) {
+  const name = source.name ? normalizeName(source.name) : null;
+  const sender = normalizeSender(source.sender);
+  const pattern = aliasFilenamePattern(source.filename);
+  if (!sender) return null;
+
+  const alias = aliases.find(a => name && name.name && a.normName === name.name && a.ordinal === name.ordinal && a.senderEmail === sender)
+    || aliases.find(a => a.filenamePattern && pattern && a.filenamePattern === pattern && a.senderEmail === sender);
+  if (!alias) return null;
+
+  const how = name && alias.normName === name.name ? `name "${alias.labName}"` : `filename pattern "${alias.filenamePattern}"`;
+  const explanation = `Learned alias: ${how} from ${alias.senderEmail}`;
+  const rival = name && name.name ? (patients || []).find(p => {
+    if (p.id === alias.patient.id || (p.status && p.status !== 'Active')) return false;
+    const other = normalizeName(p.name);
+    return other.ordinal === name.ordinal && calculateNameScore(name.name, other.name) >= 75;
+  }) : null;
+  if (rival) {
+    return { action: 'INBOX', patient: alias.patient, score: 100, learned: true, ambiguous: true, aliasId: alias.id, explanation: `${explanation} · Name also fits ${rival.name}` };
+  }
+  return { action: 'AUTO_SAVE', patient: alias.patient, score: 100, learned: true, aliasId: alias.id, explanation: explanation };
+}
+
+function recordAliasUse(match) {
+  if (!match || !match.aliasId || DRY_RUN_PLAN) return;
+  try {
+    firestore.updateDocument(`${CONFIG.pathAliases}/${match.aliasId}`, { lastUsedAt: new Date().toISOString() }, true);
+  } catch (e) { console.error(`[ALIAS] Failed to update ${match.aliasId}`, e); }
+}
+
+function normalizeSender(from) {
+  if (!from) return "";
+  const m = String(from).match(/<([^>]+)>/);
+  return (m ? m[1] : String(from)).trim().toLowerCase();
+}
+
+// "CBC_12345_Priya Sharma.pdf" -> "cbc # priya sharma". Only patient-specific patterns are usable:
+// when the alias name is known it must appear in the filename, otherwise a lab's generic
+// "Report_####.pdf" would send every report from that lab to one baby.
+function aliasFilenamePattern(filename, normName) {
+  if (!filename) return "";
+  const pattern = String(filename).toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/\d+/g, '#').replace(/[^a-z#]+/g, ' ').trim();
+  if (normName !== undefined) {
+    const tokens = (normName || "").split(' ').filter(t => t.length >= 3);
+    if (tokens.length === 0 || !tokens.some(t => pattern.includes(t))) return "";
+  }
+  return pattern;
+}
+
+// ==========================================
+// 10. CULTURES (public/data/cultures)
+// ==========================================
+// One document per sample, so the interim and final reports of a culture are one record:
+// { patientId, patientName, parameter ("Blood CS"), site, sampleId, collectionDate, reportDate,
+//   status: interim | final | contaminant, organism, colonyCount, sensitivities: [{ antibiotic, result: S|I|R, mic }],
+//   chartDateKey (the chart column the culture lives in: its collection date), reports (every report received, oldest first) }
+// The chart row keeps a one-line summary; a later report rewrites the same cell instead of opening a column.
+const CULTURE_STATUSES = ['interim', 'final', 'contaminant'];
+const CULTURE_REPORTS_LIMIT = 10; // Reports kept per culture record
+
+// Merges the model's "cultures" list with the culture rows in values (some reports only give the row text).
+// Returns normalised records, one per culture row/sample. A site without a culture row in the dictionary
+// (Urine, CSF...) gets a new "<Site> CS" parameter - routeLabResult sends those to the Inbox as new parameters.
+function buildCultureRecords(labData, cultureValues, dictionary) {
+  const fallbackDate = labData.dates?.collection || labData.dates?.report || new Date().toISOString().split('T')[0];
+  const records = (labData.cultures || []).map(c => {
+    const parameter = resolveCultureParameter(dictionary, c.parameter || c.site) || newCultureParameter(c.site || c.parameter);
+    const organism = cleanOrganism(c.organism);
+    return {
+      parameter: parameter,
+      site: c.site || parameter.replace(/\s*CS$/i, ''),
+      sampleId: (c.sampleId || "").trim(),
+      collectionDate: c.collectionDate || fallbackDate,
+      reportDate: c.reportDate || labData.dates?.report || fallbackDate,
+      status: normalizeCultureStatus(c.status, organism || c.organism),
+      organism: organism,
+      colonyCount: c.colonyCount || "",
+      sensitivities: (c.sensitivities || []).map(normalizeSensitivity).filter(s => s)
+    };
+  });
+
+  // Culture rows without a detailed entry (e.g. "Blood CS": "No growth (interim)")
+  Object.entries(cultureValues).forEach(([parameter, text]) => {
+    if (records.some(r => r.parameter === parameter)) return;
+    const organism = cleanOrganism(text);
+    records.push({
+      parameter: parameter,
+      site: parameter.replace(/\s*CS$/i, ''),
+      sampleId: "",
+      collectionDate: fallbackDate,
+      reportDate: labData.dates?.report || fallbackDate,
+      status: normalizeCultureStatus(null, text),
+      organism: organism,
+      colonyCount: "",
+      sensitivities: []
+    });
+  });
+  return records;
+}
+
+// "Blood" / "blood culture" / "Blood CS" -> "Blood CS" (culture rows of the parameter dictionary)
+function resolveCultureParameter(dictionary, raw) {
+  if (!raw) return null;
+  const name = resolveParameterName(dictionary, raw);
+  if (dictionary.byName[name] && dictionary.byName[name].routing === 'culture') return name;
+  const key = String(raw).toLowerCase().replace(/\b(culture|c\/s|cs|and sensitivity|& sensitivity)\b/g, '').trim();
+  const param = dictionary.parameters.find(p => p.routing === 'culture' && p.name.toLowerCase().replace(/\s*cs$/, '') === key);
+  return param ? param.name : null;
+}
+
+// "urine culture" -> "Urine CS"; no site at all -> "Culture CS"
+function newCultureParameter(raw) {
+  const site = String(raw || "").replace(/\b(culture|c\/s|cs|and sensitivity|& sensitivity)\b/gi, '').replace(/\s+/g, ' ').trim();
+  return site ? `${site.charAt(0).toUpperCase()}${site.slice(1)} CS` : "Culture CS";
+}
+
+function normalizeCultureStatus(status, text) {
+  const s = String(status || "").toLowerCase();
+  const t = String(text || "").toLowerCase();
+  if (s.includes('contamin') || t.includes('contamin')) return 'contaminant';
+  if (CULTURE_STATUSES.includes(s)) return s;
+  if (s.includes('prelim') || s.includes('provisional') || t.includes('interim') || t.includes('prelim')) return 'interim';
+  return 'final';
+}
+
+// Organism name, or "" for no growth
+function cleanOrganism(text) {
+  const t = String(text || "").trim();
+  if (!t || /^(no growth|sterile|no organism|negative)/i.test(t)) return "";
+  return t.replace(/\s*\((interim|final|preliminary|provisional)\)\s*$/i, '').replace(/\s*-\s*(probable\s+)?contaminant$/i, '').trim();
+}
+
+// "Sensitive" / "susceptible" / "s" -> "S", "Intermediate" -> "I", "Resistant" -> "R", anything else ""
+function susceptibilityCode(value) {
+  const r = String(value || "").trim().toUpperCase();
+  return /^S/.test(r) ? 'S' : /^I/.test(r) ? 'I' : /^R/.test(r) ? 'R' : "";
+}
+
+// { antibiotic: "Meropenem", result: "Sensitive", mic: "0.25" } -> { antibiotic, result: "S", mic }
+function normalizeSensitivity(s) {
+  if (!s || !s.antibiotic) return null;
+  const result = susceptibilityCode(s.result);
+  if (!result && !s.mic) return null;
+  return { antibiotic: String(s.antibiotic).trim(), result: result, mic: s.mic ? String(s.mic).trim() : "" };
+}
+
+// One-line chart summary: "Klebsiella pneumoniae", "No growth (interim)", "CoNS (contaminant)"
+function cultureChartValue(record) {
+  if (!record.organism) return record.status === 'interim' ? "No growth (interim)" : "No growth";
+  const suffix = record.status === 'final' ? "" : ` (${record.status})`;
+  return `${record.organism}${record.colonyCount ? ` ${record.colonyCount}` : ""}${suffix}`;
+}
+
+// Doc ids tried for a sample: its sample id, then row + collection date (see findCultureRecord for the rest)
+function cultureDocIds(patientId, record) {
+  const slug = v => String(v).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const byDate = `${patientId}__${slug(record.parameter)}__${record.collectionDate}`;
+  return record.sampleId ? [`${patientId}__${slug(record.sampleId)}`, byDate] : [byDate];
+}
+
+// Returns { id, data } of the stored record for this sample (by sample id, then by row + collection date), or null.
+// An interim stored under its sample id is still found by a final that doesn't print the sample id (and the other way
+// round): the patient's records of the same row and collection date are searched, skipping other sample ids.
+function findCultureRecord(patientId, record) {
+  for (const id of cultureDocIds(patientId, record)) {
+    try {
+      const doc = firestore.getDocument(`${CONFIG.pathCultures}/${id}`);
+      return { id: id, data: unwrapFirestoreFields(doc.fields) };
+    } catch (e) { /* Not stored yet */ }
+  }
+  const match = firestore.query(CONFIG.pathCultures).Where("patientId", "==", patientId).Execute()
+    .map(doc => ({ id: doc.name.split('/').pop(), data: unwrapFirestoreFields(doc.fields) }))
+    .find(c => c.data.parameter === record.parameter && c.data.collectionDate === record.collectionDate
+      && (!record.sampleId || !c.data.sampleId || c.data.sampleId === record.sampleId));
+  return match || null;
+}
+
+// Upserts every culture of an auto-saved report (labData.cultures, see buildCultureRecords) and writes its chart cell.
+// Throws (like saveToChart) so processLabReports can fall back to the Inbox.
+function saveCultureReports(patient, labData, dictionary) {
+  labData.cultures.forEach(record => {
+    const ids = cultureDocIds(patient.id, record);
+    const existing = findCultureRecord(patient.id, record);
+    const previous = existing ? existing.data : null;
+
+    // A late interim must not undo a final report; a contaminant call always wins
+    const isUpdate = !previous || record.status !== 'interim' || previous.status === 'interim';
+    const current = isUpdate ? record : { ...record, status: previous.status, organism: previous.organism, colonyCount: previous.colonyCount, reportDate: previous.reportDate, sensitivities: previous.sensitivities || [] };
+    const report = { status: record.status, organism: record.organism, reportDate: record.reportDate, filename: labData.provenance ? labData.provenance.filename : null, receivedAt: new Date().toISOString() };
+
+    // 1. CHART CELL: the collection date's column (as for the other values), rewritten in place by later reports
+    const chartDateKey = saveToChart(patient.id, {
+      ...labData,
+      values: { [record.parameter]: cultureChartValue(current) },
+      flags: {},
+      staticUpdates: {},
+      reportDate: previous && previous.chartDateKey ? previous.chartDateKey : record.collectionDate,
+      replaceCells: !!(previous && previous.chartDateKey)
+    }, dictionary);
+
+    // 2. CULTURE RECORD
+    const data = {
+      ...(previous || {}),
+      ...current,
+      sampleId: current.sampleId || (previous && previous.sampleId) || "",
+      patientId: patient.id,
+      patientName: patient.name,
+      chartDateKey: chartDateKey || (previous && previous.chartDateKey) || record.collectionDate,
+      reports: [...((previous && previous.reports) || []), report].slice(-CULTURE_REPORTS_LIMIT),
+      provenance: labData.provenance || null,
+      createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    const id = existing ? existing.id : ids[0];
+    if (DRY_RUN_PLAN) DRY_RUN_PLAN.cultures.push({ id: id, update: !!previous, ...data });
+    else firestore.updateDocument(`${CONFIG.pathCultures}/${id}`, data);
+    console.log(`🧫 [CULTURE] ${patient.name} ${record.parameter} ${record.sampleId || record.collectionDate}: ${previous ? `${previous.status} -> ` : ""}${data.status} ${data.organism || "no growth"}`);
+
+    // 3. POSITIVE GROWTH: alert once per new organism / status, not on every repeat report
+    if (!previous || previous.organism !== data.organism || previous.status !== data.status) notifyPositiveCulture(patient.name, data, patient);
+  });
+}
+
+function notifyPositiveCulture(patientName, record, patient, link) {
+  if (!record.organism || record.status === 'contaminant') return;
+  const resistant = (record.sensitivities || []).filter(s => s.result === 'R').map(s => s.antibiotic);
+  saveNotification({
+    patientName: patientName,
+    type: 'CULTURE',
+    severity: 'high',
+    details: `POSITIVE ${record.parameter} (collected ${record.collectionDate}${record.sampleId ? `, sample ${record.sampleId}` : ""}): ${record.organism} [${record.status}]${resistant.length ? `. Resistant: ${resistant.join(", ")}` : ""}`,
+    timestamp: new Date().toISOString()
+  }, patient, link);
+}
+
+// ==========================================
+// 11. BILIRUBIN THRESHOLDS (HOUR-SPECIFIC)
+// ==========================================
+// Phototherapy / exchange thresholds for total serum bilirubin (mg/dL) by hour of life, gestational age at birth
+// and neurotoxicity risk factors. >= 35 weeks: points at "hours" (flat after 96 h), approximating the
+// AAP 2022 curves (Kemper et al., Pediatrics 2022;150:e2022058859) - verify against the unit protocol.
+// < 35 weeks: one threshold per band of weeks (Maisels et al., J Perinatol 2012), the lower value with risk factors.
+// The tables live in config/bilirubin_thresholds, seeded with these defaults on the first run and plotted by the
+// dashboard from the same document - edit them there:
+//   { version, hours, thresholds: { phototherapy, exchange, preterm }, escalationMargin, riskZones, assumedCollectionTime }
+const DEFAULT_BILIRUBIN_CONFIG = {
+  version: 1,
+  hours: [0, 12, 24, 36, 48, 60, 72, 84, 96],
+  thresholds: {
+    phototherapy: {
+      noRisk: {
+        35: [5.0, 7.5, 10.0, 12.1, 14.0, 15.4, 16.4, 17.2, 17.8],
+        36: [5.5, 8.0, 10.6, 12.7, 14.6, 16.0, 17.0, 17.8, 18.4],
+        37: [6.0, 8.6, 11.2, 13.3, 15.2, 16.6, 17.6, 18.4, 19.0],
+        38: [6.5, 9.1, 11.8, 13.9, 15.8, 17.2, 18.2, 19.0, 19.6],
+        39: [7.0, 9.6, 12.3, 14.4, 16.3, 17.8, 18.8, 19.6, 20.2],
+        40: [7.5, 10.1, 12.8, 14.9, 16.9, 18.3, 19.4, 20.2, 20.8]
+      },
+      risk: {
+        35: [3.8, 6.2, 8.6, 10.5, 12.2, 13.4, 14.3, 15.0, 15.5],
+        36: [4.2, 6.7, 9.1, 11.0, 12.8, 14.0, 14.9, 15.6, 16.1],
+        37: [4.7, 7.2, 9.6, 11.6, 13.4, 14.6, 15.5, 16.2, 16.7],
+        38: [5.2, 7.7, 10.2, 12.2, 14.0, 15.3, 16.2, 16.9, 17.4]
+      }
+    },
+    exchange: {
+      noRisk: {
+        35: [11.5, 13.0, 14.6, 16.0, 17.3, 18.3, 19.0, 19.5, 19.9],
+        36: [12.0, 13.6, 15.2, 16.7, 18.0, 19.0, 19.8, 20.3, 20.7],
+        37: [12.5, 14.2, 15.9, 17.4, 18.7, 19.8, 20.6, 21.1, 21.5],
+        38: [13.0, 14.8, 16.5, 18.1, 19.5, 20.6, 21.4, 22.0, 22.4],
+        39: [13.5, 15.3, 17.1, 18.7, 20.1, 21.3, 22.1, 22.7, 23.1],
+        40: [14.0, 15.8, 17.6, 19.2, 20.7, 21.9, 22.7, 23.3, 23.7]
+      },
+      risk: {
+        35: [9.5, 11.0, 12.5, 13.8, 15.0, 16.0, 16.7, 17.2, 17.5],
+        36: [10.0, 11.5, 13.0, 14.4, 15.6, 16.6, 17.3, 17.8, 18.2],
+        37: [10.5, 12.0, 13.6, 15.0, 16.2, 17.2, 18.0, 18.5, 18.9],
+        38: [11.0, 12.6, 14.2, 15.6, 16.9, 17.9, 18.7, 19.2, 19.6]
+      }
+    },
+    // [with risk factors, without]
+    preterm: [
+      { maxGa: 27, phototherapy: [5, 6], exchange: [11, 14] },
+      { maxGa: 29, phototherapy: [6, 8], exchange: [12, 14] },
+      { maxGa: 31, phototherapy: [8, 10], exchange: [13, 16] },
+      { maxGa: 33, phototherapy: [10, 12], exchange: [15, 18] },
+      { maxGa: 34, phototherapy: [12, 14], exchange: [17, 19] }
+    ]
+  },
+  escalationMargin: 2, // mg/dL below the exchange threshold = escalation of care
+  // Bhutani risk zones (>= 35 wk): 40th / 75th / 95th centile by hour of life (dashboard plot only)
+  riskZones: {
+    hours: [18, 24, 36, 48, 60, 72, 84, 96, 120, 144],
+    p40: [3.8, 5.0, 7.2, 8.6, 10.0, 11.1, 11.9, 12.5, 13.0, 13.2],
+    p75: [5.2, 6.6, 9.2, 11.2, 12.8, 13.7, 14.5, 15.1, 15.4, 15.5],
+    p95: [7.0, 8.0, 11.3, 13.3, 15.1, 16.0, 16.6, 17.0, 17.4, 17.5]
+  },
+  // Sample time when the report has none: the start of the collection day (the lower, safer threshold)
+  assumedCollectionTime: '00:00'
+};
+let bilirubinConfigCache = null; // { profile, config } - read once per run and unit
+
+function loadBilirubinConfig() {
+  if (bilirubinConfigCache && bilirubinConfigCache.profile === CONFIG.profile) return bilirubinConfigCache.config;
+  let config;
+  try {
+    config = unwrapFirestoreFields(firestore.getDocument(CONFIG.pathBilirubin).fields);
+  } catch (e) {
+    console.log("🟡 No bilirubin thresholds yet. Seeding Firestore with the defaults.");
+    config = { ...DEFAULT_BILIRUBIN_CONFIG, updatedAt: new Date().toISOString(), updatedBy: "Apps Script (defaults)" };
+    try {
+      if (!DRY_RUN_PLAN) firestore.updateDocument(CONFIG.pathBilirubin, config);
+    } catch (err) { console.error("Failed to seed bilirubin thresholds", err); }
+  }
+  if (!config.thresholds || !Array.isArray(config.hours)) config = DEFAULT_BILIRUBIN_CONFIG;
+  bilirubinConfigCache = { profile: CONFIG.profile, config: config };
+  return config;
+}
+
+// GA at birth in completed weeks (unknown term babies are treated as 38 weeks)
+function biliGestationWeeks(patient) {
+  const ga = parseInt(patient.birthGaWeeks) || 0;
+  if (ga > 0) return ga;
+  return patient.termStatus === 'Term' ? 38 : null;
+}
+
+function interpolateBili(hoursList, points, hours) {
+  if (hours <= hoursList[0]) return points[0];
+  for (let i = 1; i < hoursList.length; i++) {
+    if (hours <= hoursList[i]) {
+      const f = (hours - hoursList[i - 1]) / (hoursList[i] - hoursList[i - 1]);
+      return points[i - 1] + f * (points[i] - points[i - 1]);
+    }
+  }
+  return points[points.length - 1];
+}
+
+// Returns { phototherapy, exchange } in mg/dL, or null when the baby's GA is unknown
+function bilirubinThresholds(config, gaWeeks, hours, hasRisk) {
+  if (!gaWeeks) return null;
+  const table = config.thresholds;
+  if (gaWeeks < 35) {
+    const band = table.preterm.find(b => gaWeeks <= b.maxGa) || table.preterm[table.preterm.length - 1];
+    return { phototherapy: band.phototherapy[hasRisk ? 0 : 1], exchange: band.exchange[hasRisk ? 0 : 1] };
+  }
+  const group = hasRisk ? 'risk' : 'noRisk';
+  const ga = Math.min(gaWeeks, hasRisk ? 38 : 40);
+  return {
+    phototherapy: +interpolateBili(config.hours, table.phototherapy[group][ga], hours).toFixed(1),
+    exchange: +interpolateBili(config.hours, table.exchange[group][ga], hours).toFixed(1)
+  };
+}
+
+// dob is "YYYY-MM-DDTHH:MM" (the dashboard stores the birth time with the date)
+function hoursOfLife(dob, sampleTime) {
+  const birth = new Date(String(dob).length <= 10 ? `${dob}T00:00` : dob);
+  const hours = (sampleTime.getTime() - birth.getTime()) / 3600000;
+  return isNaN(hours) ? null : Math.max(0, hours);
+}
+
+// G6PD "Deficient" on the chart (an earlier report or typed in by staff)
+function chartG6pdDeficient(patientId) {
+  const chart = DRY_RUN_PLAN && DRY_RUN_PLAN.charts[patientId] ? DRY_RUN_PLAN.charts[patientId] : readChartDocument(patientId).chart;
+  return !!(chart && chart.static && chart.static.g6pd === 'Deficient');
+}
+
+// Notifies when an auto-saved TSB is at/above the phototherapy threshold for the baby's hour of life.
+// Without a collection time config.assumedCollectionTime is used (the dashboard plots it at the same hour).
+function checkBilirubinThreshold(patient, labData, values, collectionDate) {
+  const tsb = parseLabNumber(String(values["Sr.Bili(T/D)"] || "").split('/')[0]);
+  if (tsb === null || !patient || !patient.dob || patient.termStatus === 'Pediatric') return;
+
+  const config = loadBilirubinConfig();
+  const time = labData.dates && labData.dates.collectionTime;
+  const hours = hoursOfLife(patient.dob, new Date(`${collectionDate}T${time || config.assumedCollectionTime || '00:00'}`));
+  const risks = [...(patient.jaundiceRiskFactors || [])];
+  const g6pdDeficient = (labData.staticUpdates && labData.staticUpdates.g6pd === 'Deficient') || chartG6pdDeficient(patient.id);
+  if (g6pdDeficient && !risks.includes('g6pd')) risks.push('g6pd');
+  const ga = biliGestationWeeks(patient);
+  const limits = hours === null ? null : bilirubinThresholds(config, ga, hours, risks.length > 0);
+  if (!limits || tsb < limits.phototherapy) return;
+
+  const level = tsb >= limits.exchange ? 'EXCHANGE THRESHOLD'
+    : tsb >= limits.exchange - (config.escalationMargin ?? 2) ? 'ESCALATION OF CARE' : 'PHOTOTHERAPY THRESHOLD';
+  console.log(`🟡 [BILIRUBIN] ${patient.name}: TSB ${tsb} at ${Math.round(hours)} h -> ${level}`);
+  saveNotification({
+    patientName: patient.name,
+    type: 'BILIRUBIN',
+    severity: level === 'PHOTOTHERAPY THRESHOLD' ? 'medium' : 'high',
+    details: `${level}: TSB ${tsb} mg/dL at ${Math.round(hours)} h of life${time ? '' : ' (collection time not on report)'} - phototherapy ${limits.phototherapy}, exchange ${limits.exchange} (${ga} wk, ${risks.length ? `risk factors: ${risks.join(', ')}` : 'no risk factors'})`,
+    timestamp: new Date().toISOString()
+  }, patient);
+}
+
+// ==========================================
+// 12. FHIR R4 EXPORT
+// ==========================================
+// Turns a patient's chart into a FHIR R4 "collection" Bundle the EHR / research registry can read:
+//   Patient (patients record) | Observation per charted Investigations value (compound rows: one per part)
+//   DiagnosticReport per culture record (+ organism and susceptibility Observations) | Blood Group / G6PD Observations
+// LOINC codes come from the dictionary's "loinc" (compound rows: "a / b / c", like their values); rows without one
+// only get code.text. Medicines rows are not results and are left out.
+// This is the only Bundle builder: the dashboard's FHIR button writes a "pending" fhir_exports request and
+// downloads the Bundle once runFhirExportRequests has answered it.
+const FHIR_SYSTEMS = {
+  loinc: 'http://loinc.org',
+  ucum: 'http://unitsofmeasure.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  diagnosticService: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+  identifier: 'urn:nicu-dashboard' // + ":uhid", ":ip-number", ":observation", ":culture"
+};
+// Our units (UNIT_CONVERSIONS[..].unit) as UCUM codes
+const FHIR_UCUM = { "g/dL": "g/dL", "x10^3/uL": "10*3/uL", "mg/L": "mg/L", "mmol/L": "mmol/L", "/100 WBC": "/100{WBCs}", "mg/dL": "mg/dL", "s": "s", "U/L": "U/L" };
+const FHIR_CULTURE_STATUS = { interim: 'preliminary', final: 'final', contaminant: 'final' };
+
+// exportPatientFhir(patientId, 'firestore' | 'drive'). Firestore: fhir_exports/{patientId} holds the Bundle as a JSON
+// string (Firestore would drop empty values and retype numbers) with status "done" - the dashboard's FHIR button
+// downloads it from there. Drive: a .json file in FHIR_EXPORT_FOLDER_ID (Script Properties, else My Drive).
+// profileId: the patient's unit (default: first active profile). Returns { target, location, resources }.
+function exportPatientFhir(patientId, target, profileId) {
+  if (!profileId || profileId !== CONFIG.profile) useProfileById(profileId); // exportAllPatientsFhir has switched already
+  const patient = { ...unwrapFirestoreFields(firestore.getDocument(`${CONFIG.pathPatients}/${patientId}`).fields), id: patientId };
+  const read = readChartDocument(patientId);
+  const chart = read.exists ? read.chart : { dates: [], rows: [], static: {} };
+  const cultures = firestore.query(CONFIG.pathCultures).Where("patientId", "==", patientId).Execute()
+    .map(doc => unwrapFirestoreFields(doc.fields));
+  const bundle = buildFhirBundle(patient, chart, cultures, loadParameterDictionary());
+  const json = JSON.stringify(bundle, null, 2);
+  const exportedAt = new Date().toISOString();
+  let location;
+
+  if (target === 'drive') {
+    const folderId = PropertiesService.getScriptProperties().getProperty('FHIR_EXPORT_FOLDER_ID');
+    const folder = folderId ? DriveApp.getFolderById(folderId) : DriveApp.getRootFolder();
+    const file = folder.createFile(`${String(patient.name).replace(/[^\w\- ]+/g, '').trim() || patientId}_FHIR_${exportedAt.split('T')[0]}.json`, json, 'application/fhir+json');
+    location = file.getUrl();
+  } else {
+    location = `${CONFIG.pathFhirExports}/${patientId}`;
+    firestore.updateDocument(location, {
+      patientId: patientId,
+      patientName: patient.name || "",
+      bundle: json,
+      resources: bundle.entry.length,
+      status: 'done',
+      exportedAt: exportedAt,
+      exportedBy: "Apps Script"
+    });
+  }
+  console.log(`🔥 [FHIR] ${patient.name}: ${bundle.entry.length} resources -> ${location}`);
+  return { target: target === 'drive' ? 'drive' : 'firestore', location: location, resources: bundle.entry.length };
+}
+
+// Exports the dashboard asked for: fhir_exports/{patientId} with status "pending" (at the start of each run)
+function runFhirExportRequests() {
+  let pending = [];
+  try {
+    pending = firestore.query(CONFIG.pathFhirExports).Where("status", "==", "pending").Execute().map(doc => doc.name.split('/').pop());
+  } catch (e) {
+    return 0;
+  }
+  pending.forEach(id => {
+    try {
+      exportPatientFhir(id, 'firestore', CONFIG.profile);
+    } catch (e) {
+      console.error(`[FHIR] Requested export failed for ${id}`, e);
+      try {
+        firestore.updateDocument(`${CONFIG.pathFhirExports}/${id}`, { status: 'failed', error: e.message, exportedAt: new Date().toISOString() }, true);
+      } catch (err) { console.error(`[FHIR] Failed to save the error for ${id}`, err); }
+    }
+  });
+  return pending.length;
+}
+
+// Manual run: answers the dashboard's pending FHIR requests now instead of at the next run
+function exportRequestedFhir() {
+  return forEachProfile(() => runFhirExportRequests());
+}
+
+// Manual run: exports every active patient to fhir_exports
+function exportAllPatientsFhir() {
+  forEachProfile(() => {
+    firestore.getDocuments(CONFIG.pathPatients)
+      .filter(doc => (unwrapFirestoreFields(doc.fields).status || 'Active') === 'Active')
+      .forEach(doc => {
+        const id = doc.name.split('/').pop();
+        try { exportPatientFhir(id, 'firestore', CONFIG.profile); } catch (e) { console.error(`[FHIR] Export failed for ${id}`, e); }
+      });
+  });
+}
+
+function buildFhirBundle(patient, chart, cultures, dictionary) {
+  const entries = [];
+  const add = resource => {
+    const id = Utilities.getUuid();
+    entries.push({ fullUrl: `urn:uuid:${id}`, resource: { resourceType: resource.resourceType, id: id, ...resource } });
+    return { reference: `urn:uuid:${id}` };
+  };
+  const subject = { ...add(fhirPatient(patient)), display: patient.name };
+  const codeFor = (name, part) => {
+    // Dictionaries seeded before "loinc" existed fall back to the default codes
+    const param = dictionary.byName[name] || DEFAULT_PARAMETER_DICTIONARY.parameters.find(p => p.name === name);
+    const fallback = DEFAULT_PARAMETER_DICTIONARY.parameters.find(p => p.name === name);
+    const codes = String((param && param.loinc) || (fallback && fallback.loinc) || "").split('/').map(c => c.trim());
+    const code = part === undefined ? codes[0] : codes[part];
+    const label = part === undefined ? name : COMPOUND_PARAMS[name][part];
+    return { ...(code ? { coding: [{ system: FHIR_SYSTEMS.loinc, code: code, display: label }] } : {}), text: label };
+  };
+
+  // 1. RESULTS: every Investigations cell (cultures are reported below)
+  (chart.rows || []).forEach(row => {
+    const param = dictionary.byName[row.label];
+    if (row.category !== 'Investigations' || (param && param.routing === 'culture')) return;
+    Object.entries(row.data || {}).forEach(([dateKey, raw]) => {
+      if (raw === null || raw === undefined || String(raw).trim() === "") return;
+      const parts = COMPOUND_PARAMS[row.label];
+      const pieces = parts ? String(raw).split('/') : [raw];
+      (parts || [row.label]).forEach((rangeKey, idx) => {
+        if (pieces[idx] === undefined || String(pieces[idx]).trim() === "") return;
+        add(fhirResultObservation(patient, subject, {
+          code: codeFor(row.label, parts ? idx : undefined),
+          rangeKey: rangeKey,
+          text: String(pieces[idx]).trim(),
+          numeric: !!parts || !(param && param.type === 'text'),
+          dateKey: dateKey,
+          collectedAt: row.provenance && row.provenance[dateKey] ? row.provenance[dateKey].collectedAt : null,
+          identifier: `${patient.id}/${row.label}/${dateKey}${parts ? `/${rangeKey}` : ""}`
+        }));
+      });
+    });
+  });
+
+  // 2. CULTURES: DiagnosticReport -> organism Observation -> susceptibility Observations
+  // A culture without a collection date has no effectiveDateTime (FHIR has no null dates)
+  (cultures || []).forEach(c => {
+    const effective = c.collectionDate ? { effectiveDateTime: fhirDateTime(c.collectionDate) } : {};
+    const susceptibilities = (c.sensitivities || []).map(s => {
+      const sir = susceptibilityCode(s.result); // Records stored before normalizeSensitivity may say "Sensitive"
+      const interpretation = sir ? { coding: [{ system: FHIR_SYSTEMS.interpretation, code: sir }], text: s.result } : null;
+      return add({
+        resourceType: 'Observation',
+        status: FHIR_CULTURE_STATUS[c.status] || 'final',
+        category: [fhirCategory('laboratory')],
+        code: { text: `${s.antibiotic} [Susceptibility]` },
+        subject: subject,
+        ...(interpretation ? { interpretation: [interpretation] } : {}),
+        ...(s.mic ? { valueString: `MIC ${s.mic}` } : { valueCodeableConcept: interpretation || { text: s.result } })
+      });
+    });
+    const organism = c.organism ? add({
+      resourceType: 'Observation',
+      status: FHIR_CULTURE_STATUS[c.status] || 'final',
+      category: [fhirCategory('laboratory')],
+      code: codeFor(c.parameter),
+      subject: subject,
+      ...effective,
+      valueCodeableConcept: { text: c.organism },
+      ...(c.colonyCount ? { note: [{ text: `Colony count: ${c.colonyCount}` }] } : {}),
+      ...(c.status === 'contaminant' ? { interpretation: [{ text: 'Probable contaminant' }] } : {}),
+      ...(susceptibilities.length ? { hasMember: susceptibilities } : {})
+    }) : null;
+    add({
+      resourceType: 'DiagnosticReport',
+      identifier: [{ system: `${FHIR_SYSTEMS.identifier}:culture`, value: c.sampleId || cultureDocIds(patient.id, c)[0] }],
+      status: FHIR_CULTURE_STATUS[c.status] || 'final',
+      category: [{ coding: [{ system: FHIR_SYSTEMS.diagnosticService, code: 'MB', display: 'Microbiology' }] }],
+      code: codeFor(c.parameter),
+      subject: subject,
+      ...effective,
+      ...(c.reportDate ? { issued: fhirInstant(c.reportDate) } : {}),
+      ...(organism ? { result: [organism] } : {}),
+      conclusion: cultureChartValue(c)
+    });
+  });
+
+  // 3. STATIC: Blood Group / G6PD (no date on the chart)
+  dictionary.parameters.filter(p => p.routing === 'static' && p.staticKey).forEach(p => {
+    const value = chart.static && chart.static[p.staticKey];
+    if (!value) return;
+    add({
+      resourceType: 'Observation',
+      identifier: [{ system: `${FHIR_SYSTEMS.identifier}:observation`, value: `${patient.id}/${p.name}` }],
+      status: 'final',
+      category: [fhirCategory('laboratory')],
+      code: codeFor(p.name),
+      subject: subject,
+      valueString: String(value)
+    });
+  });
+
+  return { resourceType: 'Bundle', type: 'collection', timestamp: fhirInstant(new Date()), entry: entries };
+}
+
+function fhirPatient(patient) {
+  const dob = String(patient.dob || "");
+  const time = (dob.split('T')[1] || "").slice(0, 5);
+  const gender = { male: 'male', female: 'female', ambiguous: 'other' }[String(patient.gender || "").toLowerCase()] || 'unknown';
+  const identifiers = [
+    patient.uhid ? { type: { text: 'UHID / MRN' }, system: `${FHIR_SYSTEMS.identifier}:uhid`, value: String(patient.uhid) } : null,
+    patient.ipNumber ? { type: { text: 'IP number' }, system: `${FHIR_SYSTEMS.identifier}:ip-number`, value: String(patient.ipNumber) } : null
+  ].filter(i => i);
+  return {
+    resourceType: 'Patient',
+    ...(identifiers.length ? { identifier: identifiers } : {}),
+    name: [{ text: patient.name || "" }],
+    gender: gender,
+    ...(dob ? { birthDate: dob.split('T')[0] } : {}),
+    // 00:00 is what the admit form stores when the time of birth was left blank
+    ...(time && time !== '00:00' ? { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/patient-birthTime', valueDateTime: fhirDateTime(dob) }] } : {})
+  };
+}
+
+// One charted value. Numbers get a Quantity, interpretation and the baby's reference range (section 5); the rest valueString.
+function fhirResultObservation(patient, subject, item) {
+  const n = item.numeric ? parseLabNumber(item.text) : null;
+  const onDate = String(item.dateKey).split(' ')[0]; // "2025-01-05 (2)" -> 2025-01-05
+  const observation = {
+    resourceType: 'Observation',
+    identifier: [{ system: `${FHIR_SYSTEMS.identifier}:observation`, value: item.identifier }],
+    status: 'final',
+    category: [fhirCategory('laboratory')],
+    code: item.code,
+    subject: subject,
+    effectiveDateTime: fhirDateTime(item.collectedAt || onDate)
+  };
+  // "<0.5", ">100" and other qualified numbers stay strings so the comparator isn't lost
+  if (n === null || !/^-?[\d.,]+$/.test(item.text.replace(/\s+/g, ''))) return { ...observation, valueString: item.text };
+
+  const unit = UNIT_CONVERSIONS[item.rangeKey] ? UNIT_CONVERSIONS[item.rangeKey].unit : "";
+  observation.valueQuantity = { value: n, ...(unit ? { unit: unit, system: FHIR_SYSTEMS.ucum, code: FHIR_UCUM[unit] || unit } : {}) };
+  const bands = referenceRanges()[item.rangeKey];
+  if (!bands) return observation;
+  const dol = calculateDOL(patient.dob, onDate);
+  const cga = patient.termStatus !== 'Pediatric' ? calculateCGA(patient.dob, patient.birthGaWeeks, patient.birthGaDays, onDate) : null;
+  const band = selectReferenceBand(bands, dol, cga);
+  const res = classifyNumber(item.rangeKey, n, dol, cga);
+  const quantity = v => ({ value: v, ...(unit ? { unit: unit, system: FHIR_SYSTEMS.ucum, code: FHIR_UCUM[unit] || unit } : {}) });
+  if (band.low !== undefined || band.high !== undefined) {
+    observation.referenceRange = [{ ...(band.low !== undefined ? { low: quantity(band.low) } : {}), ...(band.high !== undefined ? { high: quantity(band.high) } : {}) }];
+  }
+  if (res) {
+    const code = res.status === 'normal' ? 'N' : (res.reason[0] === '<' ? 'L' : 'H') + (res.status === 'critical' ? (res.reason[0] === '<' ? 'L' : 'H') : '');
+    observation.interpretation = [{ coding: [{ system: FHIR_SYSTEMS.interpretation, code: code }] }];
+  }
+  return observation;
+}
+
+function fhirCategory(code) {
+  return { coding: [{ system: FHIR_SYSTEMS.observationCategory, code: code }] };
+}
+
+// "2025-01-05" stays a date; anything with a time gets seconds and the script's UTC offset (required by FHIR)
+function fhirDateTime(value) {
+  const s = String(value || "");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const d = new Date(s);
+  return isNaN(d) ? s.split('T')[0] : Utilities.formatDate(d, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ssXXX");
+}
+
+function fhirInstant(value) {
+  const d = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00` : value);
+  return isNaN(d) ? String(value) : Utilities.formatDate(d, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ssXXX");
+}
+
+// ==========================================
+// 13. STRUCTURED LAB FEEDS (HL7 v2 ORU^R01 / CSV)
+// ==========================================
+// Labs that can send structured results skip the model entirely: the file is parsed here into the same result
+// shape the extraction returns, then goes through checkExtractedResult and routeLabResult like a PDF
+// (matching, learned aliases, general/culture/new-parameter routing, saveToChart, saveToInbox).
+// Two ways in: an attachment (.hl7 / .oru / .csv, or a text file starting with MSH|) on a lab email, or a POST to
+// the web app (doPost). The PDF path stays the fallback for everything else.
+//
+// CSV: header row + one result per line. Column names are case-insensitive (spaces/underscores ignored):
+//   patient_name, uhid, ip_number, dob, mother_name, bed, ward, collected ("YYYY-MM-DD HH:MM" or DD/MM/YYYY),
+//   reported, test, code (LOINC), value, unit, specimen, sample_id, status (interim/final),
+//   antibiotic, interpretation (S/I/R), mic
+// A line with an antibiotic is a susceptibility of the culture named in "test" (same patient, date and sample).
+const STRUCTURED_FORMATS = {
+  hl7: { extensions: ['.hl7', '.oru'], label: 'HL7 v2' },
+  csv: { extensions: ['.csv'], label: 'CSV' }
+};
+const CSV_COLUMNS = {
+  patientName: ['patientname', 'patient', 'name'], uhid: ['uhid', 'mrn', 'regno'], ipNumber: ['ipnumber', 'ipno', 'admissionno'],
+  dob: ['dob', 'dateofbirth'], motherName: ['mothername', 'mother'], bed: ['bed', 'bedno'], ward: ['ward'],
+  collected: ['collected', 'collectedat', 'collectiondate', 'sampledate'], reported: ['reported', 'reportedat', 'reportdate'],
+  test: ['test', 'parameter', 'testname'], code: ['code', 'loinc'], value: ['value', 'result'], unit: ['unit', 'units'],
+  specimen: ['specimen', 'sampletype'], sampleId: ['sampleid', 'accession', 'sampleno'], status: ['status'],
+  antibiotic: ['antibiotic', 'drug'], interpretation: ['interpretation', 'sir', 'susceptibility'], mic: ['mic']
+};
+const FLUID_SPECIMEN_PATTERN = /fluid|tissue|pleural|ascitic|peritoneal|synovial|pus|biopsy/i; // Same rule as forceInbox in the prompt
+
+// 'hl7' | 'csv' | null for a Gmail attachment
+function detectStructuredFormat(att) {
+  const name = att.getName().toLowerCase();
+  const format = Object.keys(STRUCTURED_FORMATS).find(f => STRUCTURED_FORMATS[f].extensions.some(ext => name.endsWith(ext)));
+  if (format) return format;
+  const type = att.getContentType().toLowerCase();
+  if (type.includes('hl7')) return 'hl7';
+  if (type === 'text/csv') return 'csv';
+  if (type.startsWith('text/') && /^\s*\x0b?MSH\|/.test(att.getDataAsString().slice(0, 20))) return 'hl7';
+  return null;
+}
+
+// One queued HL7/CSV file (from Gmail or doPost). Same ledger lifecycle as a PDF: charted | inboxed | failed -> dead_letter.
+function processStructuredItem(item, context) {
+  const text = item.text !== undefined ? item.text : item.blob.getDataAsString();
+  let results;
+  try {
+    results = parseStructuredLabFile(text, item.format, item.filename, context.dictionary);
+    if (results.length === 0) throw new Error("no results in file");
+  } catch (e) {
+    recordAttachmentFailure(item, [`${STRUCTURED_FORMATS[item.format].label}: ${e.message}`]);
+    return null;
+  }
+
+  const outcome = { chartDocIds: [], inboxDocIds: [], errors: [] };
+  results.forEach(raw => {
+    const { labData, errors } = checkExtractedResult(raw, item.filename);
+    if (!labData) { outcome.errors.push(...errors); return; }
+    labData.provenance = {
+      messageId: item.messageId || null,
+      sender: item.sender || null,
+      filename: item.filename,
+      attachmentHash: item.hash,
+      model: `${item.format} (no model)`,
+      collectedAt: labData.dates.collection ? `${labData.dates.collection}${labData.dates.collectionTime ? `T${labData.dates.collectionTime}` : ''}` : null
+    };
+    // A subject/filename match can't speak for a file with several patients - their identifiers decide
+    const routed = routeLabResult({ ...item, preMatch: reportsShareOnePatient(results) ? item.preMatch : null }, labData, context);
+    outcome.chartDocIds.push(...routed.chartDocIds);
+    outcome.inboxDocIds.push(...routed.inboxDocIds);
+  });
+
+  if (outcome.chartDocIds.length === 0 && outcome.inboxDocIds.length === 0) {
+    recordAttachmentFailure(item, outcome.errors);
+    return null;
+  }
+  if (outcome.errors.length > 0) console.error(`[STRUCTURED] "${item.filename}": skipped invalid results: ${outcome.errors.join('; ')}`);
+  outcome.chartDocIds = [...new Set(outcome.chartDocIds)];
+  updateLedgerEntry(item.hash, {
+    status: outcome.chartDocIds.length > 0 ? 'charted' : 'inboxed',
+    chartDocIds: outcome.chartDocIds,
+    inboxDocIds: outcome.inboxDocIds,
+    lastError: outcome.errors.join('; ')
+  });
+  if (item.uploadId) deleteUploadChunks(item.uploadId);
+  item.done = true;
+  return outcome;
+}
+
+// Raw results (extraction shape, one per patient + collection date) from an HL7 or CSV file
+function parseStructuredLabFile(text, format, filename, dictionary) {
+  const observations = format === 'hl7' ? parseHl7Observations(text, dictionary) : parseCsvObservations(text, dictionary);
+  return buildStructuredResults(observations, filename, dictionary);
+}
+
+// --- WEB APP ENDPOINT ---
+// Deploy as a web app and POST the file as the body: .../exec?token=<INGEST_TOKEN>&format=hl7|csv&source=<lab name>
+// [&unit=<profile id>, default the first active profile]
+// (Apps Script can't read request headers, so the shared secret from Script Properties travels in the URL).
+// HL7 senders get an HL7 ACK (MSA|AA / AE / AR), CSV senders JSON.
+function doPost(e) {
+  const params = (e && e.parameter) || {};
+  const body = e && e.postData ? e.postData.contents : "";
+  const format = STRUCTURED_FORMATS[params.format] ? params.format : (/^\s*\x0b?MSH\|/.test(body) ? 'hl7' : 'csv');
+  const respond = (code, message, details) => format === 'hl7'
+    ? ContentService.createTextOutput(buildHl7Ack(body, code, message)).setMimeType(ContentService.MimeType.TEXT)
+    : ContentService.createTextOutput(JSON.stringify({ ok: code === 'AA', message: message, ...(details || {}) })).setMimeType(ContentService.MimeType.JSON);
+
+  const token = PropertiesService.getScriptProperties().getProperty('INGEST_TOKEN');
+  if (!token || params.token !== token) return respond('AR', 'Unauthorized');
+  if (!body.trim()) return respond('AR', 'Empty body');
+  try { useProfileById(params.unit); } catch (err) { return respond('AR', err.message); }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) return respond('AE', 'Busy, please retry');
+  try {
+    const outcome = ingestStructuredText(body, format, params.filename || `${params.source || format}-${new Date().toISOString()}`, params.source || 'doPost');
+    if (!outcome) return respond('AE', 'Could not be read (see the Inbox / dead letters)');
+    return respond('AA', outcome.duplicate ? 'Already received' : 'Accepted', { charted: outcome.chartDocIds.length, inboxed: outcome.inboxDocIds.length });
+  } catch (err) {
+    console.error("[STRUCTURED] doPost failed", err);
+    return respond('AE', err.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function ingestStructuredText(text, format, filename, sender) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+  const hash = digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  const ledger = getLedgerEntry(hash) || { attempts: 0 };
+  if (LEDGER_FINAL_STATUSES.includes(ledger.status)) {
+    console.log(`[LEDGER] Skipping posted "${filename}" (already ${ledger.status}).`);
+    return { duplicate: true, chartDocIds: ledger.chartDocIds || [], inboxDocIds: ledger.inboxDocIds || [] };
+  }
+  updateLedgerEntry(hash, { status: 'queued', filename: filename, format: format, sender: sender, size: text.length, attempts: ledger.attempts || 0, createdAt: ledger.createdAt || new Date().toISOString() });
+
+  const dictionary = loadParameterDictionary();
+  const allPatients = loadAllPatients();
+  const context = { allPatients: allPatients, learnedAliases: loadPatientAliases(allPatients), dictionary: dictionary };
+  // Posted content can't be re-fetched later, so a file we can't read goes straight to the dead letters / Inbox
+  return processStructuredItem({ text: text, format: format, filename: filename, sender: sender, hash: hash, preMatch: null, ledger: { ...ledger, attempts: CONFIG.maxAttachmentAttempts - 1 } }, context);
+}
+
+// --- HL7 v2 ---
+// ORU^R01: MSH, then per patient PID [PV1] [NK1], then per order OBR [SPM] OBX... (NTE and anything else is skipped).
+// OBX-3 is matched to the dictionary by LOINC (its "loinc" codes) and otherwise by name/alias; OBR-4 decides
+// whether an order is a culture (organism, colony count and susceptibility OBXs).
+function parseHl7Observations(text, dictionary) {
+  const segments = String(text).replace(/[\x0b\x1c]/g, '').split(/\r\n|\r|\n/).map(s => s.trim()).filter(s => s);
+  const observations = [];
+  let enc = null, msh = null, patient = null, order = null, oruCount = 0;
+
+  segments.forEach(seg => {
+    const type = seg.slice(0, 3);
+    if (type === 'MSH') {
+      enc = { field: seg[3], component: seg[4] || '^', repetition: seg[5] || '~', escape: seg[6] || '\\', subcomponent: seg[7] || '&' };
+      // MSH-1 is the field separator itself, so MSH-n is fields[n - 1]
+      msh = ['MSH', seg[3], ...seg.slice(4).split(seg[3])];
+      patient = null; order = null;
+      if (hl7Component(msh[9], 1, enc) === 'ORU') oruCount++;
+      return;
+    }
+    if (!msh || hl7Component(msh[9], 1, enc) !== 'ORU') return;
+    const f = seg.split(enc.field);
+    const field = (n, c, sub) => hl7Component(f[n], c || 1, enc, sub);
+
+    if (type === 'PID') {
+      const ids = String(f[3] || '').split(enc.repetition);
+      const mrn = ids.find(id => /^(MR|MRN|PI)$/.test(hl7Component(id, 5, enc))) || ids[0] || '';
+      const given = [field(5, 2), field(5, 3)].filter(Boolean).join(' ');
+      patient = {
+        name: [given, field(5, 1)].filter(Boolean).join(' '),
+        uhid: hl7Component(mrn, 1, enc),
+        ipNumber: field(18),
+        dob: hl7Date(field(7))
+      };
+    } else if (type === 'PV1' && patient) {
+      patient.ward = patient.ward || field(3, 1);
+      patient.bed = patient.bed || field(3, 3);
+      patient.ipNumber = patient.ipNumber || field(19);
+    } else if (type === 'NK1' && patient && /^(MTH|MOTHER)$/i.test(field(3, 1))) {
+      patient.motherName = [field(2, 2), field(2, 1)].filter(Boolean).join(' ');
+    } else if (type === 'OBR') {
+      const collected = field(7) || msh[7];
+      const service = resolveFeedParameter(dictionary, field(4, 1), field(4, 2) || field(4, 1), field(4, 3));
+      const culture = (service && dictionary.byName[service.name] && dictionary.byName[service.name].routing === 'culture' ? service.name : null)
+        || resolveCultureParameter(dictionary, field(4, 2) || field(4, 1))
+        || (/culture|c\/s/i.test(field(4, 2)) ? field(4, 2) : null);
+      order = {
+        patient: patient || {},
+        collectedDate: hl7Date(collected),
+        collectedTime: hl7Time(collected),
+        reportDate: hl7Date(field(22)) || hl7Date(msh[7]),
+        sampleId: field(3, 1) || field(2, 1),
+        status: { P: 'interim', I: 'interim', F: 'final', C: 'final' }[field(25)] || '',
+        specimen: field(15, 1),
+        culture: culture
+      };
+    } else if (type === 'SPM' && order) {
+      order.specimen = field(4, 2) || field(4, 1) || order.specimen;
+    } else if (type === 'OBX' && order) {
+      if (['X', 'D', 'W'].includes(field(11))) return; // Cannot obtain / deleted / wrong
+      const valueType = field(2);
+      const rawValue = String(f[5] || '').split(enc.repetition)[0];
+      const value = valueType === 'SN'
+        ? `${hl7Component(rawValue, 1, enc)}${hl7Component(rawValue, 2, enc)}`
+        : ['CE', 'CWE', 'CNE'].includes(valueType) ? (hl7Component(rawValue, 2, enc) || hl7Component(rawValue, 1, enc))
+        : hl7Unescape(rawValue, enc);
+      const name = field(3, 2) || field(3, 1);
+      const flag = field(8).toUpperCase();
+      const obs = {
+        patient: order.patient, collectedDate: order.collectedDate || hl7Date(field(14)), collectedTime: order.collectedTime || hl7Time(field(14)),
+        reportDate: order.reportDate, sampleId: order.sampleId, status: order.status || ({ P: 'interim', F: 'final', C: 'final' }[field(11)] || ''),
+        specimen: order.specimen, test: name, code: field(3, 1), codeSystem: field(3, 3), value: String(value).trim(), unit: field(6, 1) || field(6, 2)
+      };
+      if (!order.culture) { observations.push({ ...obs, kind: 'result' }); return; }
+
+      obs.test = order.culture;
+      if (/suscept|sensitiv|\bmic\b/i.test(name) || (['S', 'I', 'R'].includes(flag) && !/organism|isolate|identified/i.test(name))) {
+        observations.push({ ...obs, kind: 'susceptibility', antibiotic: name.replace(/\s*\[[^\]]*\]|\s*\b(susceptibility|sensitivity|mic)\b.*$/gi, '').trim(), interpretation: ['S', 'I', 'R'].includes(flag) ? flag : (/^[SIR]$/i.test(obs.value) ? obs.value.toUpperCase() : ''), mic: /^[<>=]*\s*\d/.test(obs.value) ? obs.value : '' });
+      } else if (/colony|cfu/i.test(`${name} ${obs.unit}`)) {
+        observations.push({ ...obs, kind: 'colonyCount', value: `${obs.value}${obs.unit ? ` ${obs.unit}` : ''}` });
+      } else {
+        observations.push({ ...obs, kind: 'culture' });
+      }
+    }
+  });
+  if (oruCount === 0) throw new Error("no ORU message (MSH-9) in file");
+  return observations;
+}
+
+// n-th component (1-based) of the first repetition, unescaped; sub = n-th subcomponent
+function hl7Component(value, n, enc, sub) {
+  const comp = String(value || '').split(enc.repetition)[0].split(enc.component)[n - 1] || '';
+  return hl7Unescape(sub ? (comp.split(enc.subcomponent)[sub - 1] || '') : comp, enc).trim();
+}
+
+function hl7Unescape(value, enc) {
+  const e = enc.escape;
+  if (!e || !String(value).includes(e)) return String(value || '');
+  const map = { F: enc.field, S: enc.component, T: enc.subcomponent, R: enc.repetition, E: e };
+  return String(value).replace(new RegExp(`\\${e}(F|S|T|R|E|\\.br|X[0-9A-Fa-f]+)\\${e}`, 'g'), (m, code) => map[code] !== undefined ? map[code] : code === '.br' ? ' ' : '');
+}
+
+// HL7 TS "20250105103000+0530" -> "2025-01-05" / "10:30"
+function hl7Date(ts) {
+  const m = String(ts || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return m && isValidIsoDate(`${m[1]}-${m[2]}-${m[3]}`) ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function hl7Time(ts) {
+  const m = String(ts || '').match(/^\d{8}(\d{2})(\d{2})/);
+  return m ? normalizeTimeString(`${m[1]}:${m[2]}`) : null;
+}
+
+function buildHl7Ack(message, code, text) {
+  const mshLine = String(message || '').replace(/[\x0b\x1c]/g, '').split(/\r\n|\r|\n/).find(s => s.trim().startsWith('MSH')) || 'MSH|^~\\&';
+  const sep = mshLine.trim()[3] || '|';
+  const msh = mshLine.trim().split(sep);
+  const now = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss');
+  // Sender and receiver swap places; MSH-10 of the original goes back in MSA-2
+  return [
+    ['MSH', '^~\\&', msh[4] || '', msh[5] || '', msh[2] || '', msh[3] || '', now, '', 'ACK^R01', `ACK${now}`, 'P', msh[11] || '2.5'].join(sep),
+    ['MSA', code, msh[9] || '', String(text || '').replace(new RegExp(`[\\${sep}\\r\\n]`, 'g'), ' ')].join(sep)
+  ].join('\r');
+}
+
+// --- CSV ---
+function parseCsvObservations(text, dictionary) {
+  const rows = Utilities.parseCsv(String(text).replace(/^﻿/, '')).filter(r => r.some(c => String(c).trim()));
+  if (rows.length < 2) throw new Error("needs a header row and at least one result");
+  const header = rows[0].map(h => String(h).toLowerCase().replace(/[\s_\-.]/g, ''));
+  const col = {};
+  Object.entries(CSV_COLUMNS).forEach(([key, names]) => { const i = header.findIndex(h => names.includes(h)); if (i >= 0) col[key] = i; });
+  if (col.test === undefined || (col.value === undefined && col.antibiotic === undefined)) throw new Error('header needs "test" and "value" columns');
+  if (col.patientName === undefined && col.uhid === undefined && col.ipNumber === undefined) throw new Error('header needs "patient_name", "uhid" or "ip_number"');
+
+  return rows.slice(1).map(r => {
+    const get = key => col[key] === undefined ? '' : String(r[col[key]] || '').trim();
+    const collected = get('collected');
+    const test = get('test');
+    const culture = resolveCultureParameter(dictionary, test);
+    const obs = {
+      patient: { name: get('patientName'), uhid: get('uhid'), ipNumber: get('ipNumber'), dob: normalizeDateString(get('dob')), motherName: get('motherName'), bed: get('bed'), ward: get('ward') },
+      collectedDate: normalizeDateString(collected),
+      collectedTime: normalizeTimeString(collected.replace(/^\S+\s*|^[^T]+T/, '')),
+      reportDate: normalizeDateString(get('reported')),
+      sampleId: get('sampleId'), status: get('status').toLowerCase(), specimen: get('specimen'),
+      test: culture || test, code: get('code'), codeSystem: get('code') ? 'LN' : '', value: get('value'), unit: get('unit')
+    };
+    if (!culture) return { ...obs, kind: 'result' };
+    if (get('antibiotic')) return { ...obs, kind: 'susceptibility', antibiotic: get('antibiotic'), interpretation: get('interpretation').toUpperCase().slice(0, 1), mic: get('mic') };
+    return { ...obs, kind: 'culture' };
+  }).filter(o => o.test && (o.value || o.kind === 'susceptibility'));
+}
+
+// --- SHARED: observations -> raw results ---
+// Groups by patient (UHID, else IP number, else name) and collection date; compound rows are rebuilt from their
+// parts as labelled text ("sodium 135 mmol/L, potassium 4.2 mmol/L") so normalizeLabValue converts each part.
+function buildStructuredResults(observations, filename, dictionary) {
+  const groups = new Map();
+  observations.forEach(o => {
+    const p = o.patient || {};
+    const key = `${normalizeIdentifier(p.uhid) || normalizeIdentifier(p.ipNumber) || String(p.name || '').toLowerCase()}|${o.collectedDate || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(o);
+  });
+
+  return [...groups.values()].map(list => {
+    const first = list[0];
+    const p = first.patient || {};
+    const identifiers = {};
+    ['uhid', 'ipNumber', 'dob', 'motherName', 'bed', 'ward'].forEach(k => { if (p[k]) identifiers[k] = String(p[k]); });
+    const values = {}, units = {}, parts = {}, cultures = {};
+
+    list.forEach(o => {
+      if (o.kind === 'result') {
+        const target = resolveFeedParameter(dictionary, o.code, o.test, o.codeSystem);
+        if (!target || !o.value) return;
+        if (target.part === null) { values[target.name] = o.value; if (o.unit) units[target.name] = o.unit; return; }
+        parts[target.name] = parts[target.name] || [];
+        parts[target.name][target.part] = o;
+        return;
+      }
+      const cKey = `${o.test}|${o.sampleId || ''}`;
+      const c = cultures[cKey] = cultures[cKey] || {
+        parameter: o.test, site: o.specimen || o.test.replace(/\s*CS$/i, ''), sampleId: o.sampleId || "", collectionDate: o.collectedDate || "",
+        reportDate: o.reportDate || "", status: o.status || "", organism: "", colonyCount: "", sensitivities: []
+      };
+      if (o.kind === 'culture' && !c.organism) c.organism = o.value;
+      else if (o.kind === 'colonyCount') c.colonyCount = o.value;
+      else if (o.kind === 'susceptibility' && o.antibiotic) c.sensitivities.push({ antibiotic: o.antibiotic, result: o.interpretation || "", mic: o.mic || "" });
+    });
+
+    Object.entries(parts).forEach(([row, pieces]) => {
+      values[row] = COMPOUND_PARAMS[row].map((part, i) => pieces[i] ? `${COMPOUND_PART_LABELS[part][0]} ${pieces[i].value}${pieces[i].unit ? ` ${pieces[i].unit}` : ''}` : null).filter(Boolean).join(', ');
+    });
+    Object.values(cultures).forEach(c => {
+      values[c.parameter] = c.organism || (c.status === 'interim' ? "No growth (interim)" : "No growth");
+    });
+    // Coded results, not read off a page: nothing for the confidence check to hold back
+    const evidence = Object.fromEntries(Object.keys(values).map(k => [k, { confidence: 1, text: `${filename}: ${values[k]}`.slice(0, 200) }]));
+
+    return {
+      filename: filename,
+      patientName: p.name || "",
+      identifiers: identifiers,
+      dates: { collection: first.collectedDate || "", collectionTime: (list.find(o => o.collectedTime) || {}).collectedTime || "", report: first.reportDate || first.collectedDate || "" },
+      forceInbox: list.some(o => FLUID_SPECIMEN_PATTERN.test(o.specimen || '')),
+      values: values,
+      units: units,
+      evidence: evidence,
+      staticUpdates: {},
+      cultures: Object.values(cultures)
+    };
+  });
+}
+
+// Dictionary row (and part, for compound rows) of a coded / named result: LOINC first, then name or alias,
+// then the part labels of compound rows ("Sodium" -> Na/K/Cl, "Direct bilirubin" -> Sr.Bili(T/D)).
+// Returns { name, part } (part null for single rows); unknown tests keep their name and become new parameters.
+function resolveFeedParameter(dictionary, code, text, system) {
+  if (code && (/^LN$/i.test(system || '') || /^\d{1,7}-\d$/.test(code))) {
+    for (const p of dictionary.parameters) {
+      const fallback = DEFAULT_PARAMETER_DICTIONARY.parameters.find(d => d.name === p.name);
+      const codes = String(p.loinc || (fallback && fallback.loinc) || '').split('/').map(c => c.trim());
+      const idx = codes.indexOf(code);
+      if (idx >= 0) return { name: p.name, part: COMPOUND_PARAMS[p.name] ? idx : null };
+    }
+  }
+  const label = String(text || code || '').trim();
+  if (!label) return null;
+  const name = resolveParameterName(dictionary, label);
+  if (dictionary.byName[name]) return { name: name, part: null };
+
+  const lower = label.toLowerCase();
+  for (const [row, rowParts] of Object.entries(COMPOUND_PARAMS)) {
+    const isBili = row === 'Sr.Bili(T/D)';
+    if (isBili && !/bili/.test(lower)) continue;
+    const bare = isBili ? lower.replace(/\b(serum|bilirubin|bili)\b|[,()]/g, '').replace(/\s+/g, ' ').trim() : lower;
+    const idx = rowParts.findIndex(part => COMPOUND_PART_LABELS[part].some(l => l === bare && (isBili || l.length > 1)));
+    if (idx >= 0) return { name: row, part: idx };
+  }
+  return { name: name, part: null };
+}
+
+// ==========================================
+// 14. DASHBOARD UPLOADS (REPORTS THAT NEVER ARRIVE BY EMAIL)
+// ==========================================
+// "Upload report" on a chart stores the file(s) in lab_uploads/{id} for the chosen patient. Firestore documents max
+// out at 1 MiB, so the base64 content sits in lab_uploads/{id}/chunks/{file}-{n}; the upload document itself is
+// written last with status 'pending'. The next run queues it like an email attachment (PDF / photos of one report /
+// HL7 / CSV) with the chosen patient as the match - the identifiers printed on the report are still checked.
+// status: pending -> queued (ledgerHash set; the ledger tracks it from there) | skipped (reason: same content already
+// queued this run, or already charted / inboxed) | failed (error)
+// The chunks are deleted once the report is charted or inboxed (chunksDeleted); failed and dead-lettered uploads keep
+// theirs so they can be retried.
+function hasPendingUploads() {
+  try {
+    return firestore.query(CONFIG.pathUploads).Where("status", "==", "pending").Execute().length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+function queuePendingUploads(allPatients, processedFiles) {
+  let pending = [];
+  try {
+    pending = firestore.query(CONFIG.pathUploads).Where("status", "==", "pending").Execute().map(doc => doc.name.split('/').pop());
+  } catch (e) {
+    console.error("[UPLOAD] Failed to load pending uploads", e);
+    return [];
+  }
+
+  const queue = [];
+  pending.forEach(uploadId => {
+    try {
+      const item = loadUploadItem(uploadId, allPatients);
+      if (processedFiles.has(item.hash)) {
+        console.log(`[DUPLICATE] Skipping upload "${item.filename}" (already queued).`);
+        updateUpload(uploadId, { status: 'skipped', reason: 'already queued in this run', ledgerHash: item.hash });
+        deleteUploadChunks(uploadId); // The queued copy (its ledger entry) carries the content
+        return;
+      }
+      processedFiles.add(item.hash);
+
+      let ledger = getLedgerEntry(item.hash) || { attempts: 0 };
+      if (ledger.status === 'charted' || ledger.status === 'inboxed') {
+        console.log(`[LEDGER] Skipping upload "${item.filename}" (already ${ledger.status}).`);
+        updateUpload(uploadId, { status: 'skipped', reason: `already ${ledger.status}`, ledgerHash: item.hash });
+        deleteUploadChunks(uploadId);
+        return;
+      }
+      // Uploading a dead-lettered or dismissed file again is a deliberate retry: fresh attempts, like the dashboard's Retry
+      if (LEDGER_FINAL_STATUSES.includes(ledger.status)) {
+        console.log(`[LEDGER] Re-queuing upload "${item.filename}" (was ${ledger.status}).`);
+        ledger = { ...ledger, attempts: 0 };
+      }
+      updateUpload(uploadId, { status: 'queued', ledgerHash: item.hash });
+      console.log(`[UPLOAD] Queued "${item.filename}" (${item.pages.length} file(s)) for ${item.preMatch ? item.preMatch.patient.name : 'matching by content'}.`);
+      updateLedgerEntry(item.hash, {
+        status: 'queued',
+        filename: item.filename,
+        format: item.format || reportFormat(item.pages),
+        size: item.pages.reduce((sum, b) => sum + b.getBytes().length, 0),
+        uploadId: uploadId,
+        subject: "Dashboard upload",
+        sender: item.sender,
+        attempts: ledger.attempts || 0,
+        createdAt: ledger.createdAt || new Date().toISOString()
+      });
+      queue.push({ ...item, ledger: ledger });
+    } catch (e) {
+      console.error(`[UPLOAD] Cannot read upload ${uploadId}: ${e.message}`);
+      updateUpload(uploadId, { status: 'failed', error: e.message });
+    }
+  });
+  return queue;
+}
+
+// Rebuilds the blobs of one upload. Returns a queue item without ledger (thread null: nothing to label).
+function loadUploadItem(uploadId, allPatients) {
+  const upload = unwrapFirestoreFields(firestore.getDocument(`${CONFIG.pathUploads}/${uploadId}`).fields);
+  const chunks = firestore.getDocuments(`${CONFIG.pathUploads}/${uploadId}/chunks`).map(doc => unwrapFirestoreFields(doc.fields));
+  const files = upload.files || [];
+  if (files.length === 0) throw new Error("upload has no files");
+  if (upload.chunksDeleted) throw new Error("the uploaded file was deleted after it was charted / inboxed");
+
+  const pages = files.map((f, i) => {
+    const parts = chunks.filter(c => c.file === i).sort((a, b) => a.index - b.index);
+    if (parts.length !== f.chunkCount) throw new Error(`"${f.name}" is incomplete (${parts.length}/${f.chunkCount} parts)`);
+    return Utilities.newBlob(Utilities.base64Decode(parts.map(c => c.data).join('')), f.mimeType, f.name);
+  });
+  const unreadable = pages.filter(b => !reportMimeType(b) && !detectStructuredFormat(b));
+  if (unreadable.length > 0) throw new Error(`unsupported file type: ${unreadable.map(b => b.getName()).join(", ")}`);
+
+  const patient = allPatients.find(p => p.id === upload.patientId);
+  return {
+    blob: pages[0],
+    pages: pages,
+    filename: pages[0].getName(),
+    format: pages.length === 1 ? detectStructuredFormat(pages[0]) : null,
+    // The chosen patient stands in for the subject/filename match (learned aliases can't override it)
+    preMatch: patient ? { action: 'AUTO_SAVE', patient: patient, score: 100, uploaded: true, explanation: `Uploaded for ${patient.name} by ${upload.uploadedBy || 'dashboard'}` } : null,
+    thread: null,
+    messageId: null,
+    uploadId: uploadId,
+    sender: upload.uploadedBy || "dashboard upload",
+    hash: computeReportHash(pages)
+  };
+}
+
+// The upload's content is no longer needed once its report is charted or inboxed (lab_uploads would keep every file otherwise)
+function deleteUploadChunks(uploadId) {
+  if (DRY_RUN_PLAN) return;
+  try {
+    const chunks = firestore.getDocuments(`${CONFIG.pathUploads}/${uploadId}/chunks`);
+    chunks.forEach(doc => firestore.deleteDocument(`${CONFIG.pathUploads}/${uploadId}/chunks/${doc.name.split('/').pop()}`));
+    updateUpload(uploadId, { chunksDeleted: true });
+    console.log(`[UPLOAD] Deleted the ${chunks.length} content chunk(s) of upload ${uploadId}.`);
+  } catch (e) { console.error(`[UPLOAD] Failed to delete the chunks of ${uploadId}`, e); }
+}
+
+function updateUpload(uploadId, fields) {
+  if (DRY_RUN_PLAN) return;
+  try {
+    firestore.updateDocument(`${CONFIG.pathUploads}/${uploadId}`, { ...fields, updatedAt: new Date().toISOString() }, true);
+  } catch (e) { console.error(`[UPLOAD] Failed to update ${uploadId}`, e); }
+}
+
+// ==========================================
+// 15. WARD HANDOVER DIGEST (SCHEDULED)
+// ==========================================
+// A summary per ward before rounds: every lab charted since the previous digest (abnormal / critical marked),
+// pending Inbox items and new culture growths. Stored in handover_digests for the dashboard ("Digest") and,
+// if DIGEST_RECIPIENTS is set, emailed to the ward lists. Runs at CONFIG.digest.times (setupDigestTriggers).
+const DIGEST_DEFAULT_LOOKBACK_HOURS = 12; // First digest (no previous one to start from)
+
+// Re-run after changing DIGEST_TIMES: replaces the digest triggers with one daily trigger per configured time
+function setupDigestTriggers() {
+  const handler = 'sendHandoverDigest';
+  ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === handler).forEach(t => ScriptApp.deleteTrigger(t));
+
+  CONFIG.digest.times.forEach(time => {
+    const m = String(time).match(/^(\d{1,2}):(\d{2})$/);
+    if (!m || parseInt(m[1]) > 23 || parseInt(m[2]) > 59) { console.error(`[DIGEST] Ignoring invalid time "${time}" in DIGEST_TIMES (use HH:MM).`); return; }
+    // Apps Script runs it within ±15 minutes of the minute given
+    ScriptApp.newTrigger(handler).timeBased().atHour(parseInt(m[1])).nearMinute(parseInt(m[2])).everyDays(1).inTimezone(Session.getScriptTimeZone()).create();
+    console.log(`📋 [DIGEST] Handover digest scheduled daily at ${time} (${Session.getScriptTimeZone()}).`);
+  });
+}
+
+// Trigger handler (also safe to run by hand): one digest per active profile. Returns the stored digest ids.
+function sendHandoverDigest() {
+  return forEachProfile(() => {
+    const now = new Date();
+    const previous = getLastDigest();
+    const since = previous ? previous.generatedAt : new Date(now.getTime() - DIGEST_DEFAULT_LOOKBACK_HOURS * 3600000).toISOString();
+    const digest = buildHandoverDigest(since, now);
+    digest.slot = nearestDigestSlot(now);
+
+    // Stored before the email: the next digest starts where this one ends even if the run dies while sending,
+    // so the same window is never emailed twice. status: sending -> sent
+    const saved = firestore.createDocument(CONFIG.pathDigests, { ...digest, status: 'sending', emailedTo: [] });
+    const id = saved && saved.name ? saved.name.split('/').pop() : null;
+    const emailedTo = emailHandoverDigest(digest);
+    try {
+      if (id) firestore.updateDocument(`${CONFIG.pathDigests}/${id}`, { status: 'sent', emailedTo: emailedTo }, true);
+    } catch (e) { console.error(`[DIGEST] Emailed, but failed to mark digest ${id} as sent`, e); }
+    console.log(`📋 [DIGEST] ${digest.slot}: ${digest.totals.patients} patients, ${digest.totals.results} results (${digest.totals.critical} critical), ${digest.totals.inbox} pending Inbox, ${digest.totals.cultures} growths${emailedTo.length ? `. Emailed ${emailedTo.join(", ")}` : ""}.`);
+    return id;
+  });
+}
+
+function getLastDigest() {
+  try {
+    const docs = firestore.query(CONFIG.pathDigests).OrderBy("generatedAt", "desc").Limit(1).Execute();
+    return docs.length ? unwrapFirestoreFields(docs[0].fields) : null;
+  } catch (e) {
+    console.error("[DIGEST] Failed to load the previous digest", e);
+    return null;
+  }
+}
+
+// The configured time this run belongs to ("07:30"), for the title
+function nearestDigestSlot(now) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const toMinutes = t => { const m = String(t).match(/^(\d{1,2}):(\d{2})$/); return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null; };
+  const distance = t => { const d = Math.abs(toMinutes(t) - minutes); return Math.min(d, 1440 - d); };
+  const slots = CONFIG.digest.times.filter(t => toMinutes(t) !== null).sort((a, b) => distance(a) - distance(b));
+  return slots.length && distance(slots[0]) <= 60 ? slots[0] : Utilities.formatDate(now, Session.getScriptTimeZone(), 'HH:mm');
+}
+
+// { generatedAt, since, wards: [{ ward, patients: [...], quietPatients }], unassignedInbox, totals }
+// Patient: { patientId, name, bed, results: [{ label, date, value, flag, source }], inbox: [...], cultures: [...] }
+function buildHandoverDigest(since, now) {
+  const patients = loadAllPatients().filter(p => p.status !== 'Discharged');
+  const pendingInbox = queryDigestDocs(CONFIG.pathInbox, "status", "==", "Pending");
+  const updatedCultures = queryDigestDocs(CONFIG.pathCultures, "updatedAt", ">", since);
+  const inboxSummary = i => ({ id: i.id, patientName: i.patientName || "", reason: i.reason || "", parameters: Object.keys(i.data || {}), receivedAt: i.receivedAt || "" });
+
+  const wards = {};
+  patients.forEach(p => {
+    const ward = p.ward || "No ward";
+    wards[ward] = wards[ward] || { ward: ward, patients: [], quietPatients: 0 };
+    const results = newChartResults(loadChartForDigest(p.id), since);
+    const inbox = pendingInbox.filter(i => i.suggestedMatchId === p.id).map(inboxSummary);
+    // New growth = a culture record updated since the last digest that has an organism (contaminants left out)
+    const cultures = updatedCultures.filter(c => c.patientId === p.id && c.organism && c.status !== 'contaminant').map(c => ({
+      parameter: c.parameter, sampleId: c.sampleId || "", collectionDate: c.collectionDate || "", organism: c.organism, status: c.status || "",
+      resistant: (c.sensitivities || []).filter(s => s.result === 'R').map(s => s.antibiotic)
+    }));
+    if (results.length === 0 && inbox.length === 0 && cultures.length === 0) { wards[ward].quietPatients++; return; }
+    wards[ward].patients.push({ patientId: p.id, name: p.name, bed: p.bed || "", results: results, inbox: inbox, cultures: cultures });
+  });
+
+  const knownIds = new Set(patients.map(p => p.id));
+  const unassignedInbox = pendingInbox.filter(i => !i.suggestedMatchId || !knownIds.has(i.suggestedMatchId)).map(inboxSummary);
+  const wardList = Object.values(wards).sort((a, b) => a.ward.localeCompare(b.ward));
+  const all = wardList.flatMap(w => w.patients);
+  return {
+    generatedAt: now.toISOString(),
+    since: since,
+    wards: wardList,
+    unassignedInbox: unassignedInbox,
+    totals: {
+      patients: all.length,
+      results: all.reduce((n, p) => n + p.results.length, 0),
+      abnormal: all.reduce((n, p) => n + p.results.filter(r => r.flag === 'abnormal').length, 0),
+      critical: all.reduce((n, p) => n + p.results.filter(r => r.flag === 'critical').length, 0),
+      inbox: pendingInbox.length,
+      cultures: all.reduce((n, p) => n + p.cultures.length, 0)
+    }
+  };
+}
+
+function queryDigestDocs(path, field, op, value) {
+  try {
+    return firestore.query(path).Where(field, op, value).Execute().map(doc => ({ id: doc.name.split('/').pop(), ...unwrapFirestoreFields(doc.fields) }));
+  } catch (e) {
+    console.error(`[DIGEST] Query on ${path} failed`, e);
+    return [];
+  }
+}
+
+function loadChartForDigest(patientId) {
+  try {
+    return unwrapFirestoreFields(firestore.getDocument(`${CONFIG.pathCharts}/${patientId}`).fields);
+  } catch (e) {
+    return null; // No chart yet
+  }
+}
+
+// Investigation cells written (auto-save, Inbox accept or by hand) after `since`, oldest column first
+function newChartResults(chart, since) {
+  if (!chart || !Array.isArray(chart.rows)) return [];
+  const results = [];
+  chart.rows.filter(row => row.category === 'Investigations').forEach(row => {
+    Object.entries(row.provenance || {}).forEach(([date, p]) => {
+      const value = row.data ? row.data[date] : "";
+      if (!p || !p.timestamp || p.timestamp <= since || value === undefined || value === "") return;
+      results.push({ label: row.label, date: date, value: String(value), flag: row.flags ? (row.flags[date] || null) : null, source: p.source || "" });
+    });
+  });
+  return results.sort((a, b) => a.date.localeCompare(b.date) || a.label.localeCompare(b.label));
+}
+
+// Emails every ward that has a list in DIGEST_RECIPIENTS ("*" gets all wards). Returns the addresses used.
+function emailHandoverDigest(digest) {
+  if (!CONFIG.digest.recipients) return [];
+  const recipients = parseWardRecipients(CONFIG.digest.recipients);
+  const sent = [];
+  Object.entries(recipients).forEach(([ward, to]) => {
+    const wards = ward === '*' ? digest.wards : digest.wards.filter(w => w.ward === ward);
+    if (!to || wards.length === 0) return;
+    const title = `${CONFIG.unitLabel ? `${CONFIG.unitLabel} ` : ''}Lab handover ${digest.slot}${ward === '*' ? '' : ` - ${ward}`}`;
+    const part = { ...digest, wards: wards, unassignedInbox: ward === '*' ? digest.unassignedInbox : [] };
+    try {
+      GmailApp.sendEmail(to, title, formatDigestText(part, title), { htmlBody: formatDigestHtml(part, title), name: "NICU Lab Charting" });
+      sent.push(to);
+    } catch (e) { console.error(`[DIGEST] Failed to email ${to}`, e); }
+  });
+  return sent;
+}
+
+// DIGEST_RECIPIENTS / NOTIFY_ESCALATION_RECIPIENTS -> { ward: "addresses" }
+function parseWardRecipients(value) {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return { "*": value }; // A plain address list gets every ward
+  }
+}
+
+function formatDigestResult(r) {
+  return `${r.label} ${r.value}${r.flag === 'critical' ? ' (CRITICAL)' : r.flag === 'abnormal' ? ' (abnormal)' : ''}`;
+}
+
+function formatDigestCulture(c) {
+  return `${c.parameter}${c.sampleId ? ` #${c.sampleId}` : ''}: ${c.organism} [${c.status}]${c.resistant.length ? `, R: ${c.resistant.join(", ")}` : ''}`;
+}
+
+function formatDigestText(digest, title) {
+  const lines = [`${title} - since ${new Date(digest.since).toLocaleString()}`, ""];
+  digest.wards.forEach(w => {
+    lines.push(`== ${w.ward} ==`);
+    w.patients.forEach(p => {
+      lines.push(`${p.name}${p.bed ? ` (bed ${p.bed})` : ''}`);
+      const byDate = {};
+      p.results.forEach(r => { (byDate[r.date] = byDate[r.date] || []).push(formatDigestResult(r)); });
+      Object.entries(byDate).forEach(([date, items]) => lines.push(`  ${date}: ${items.join(", ")}`));
+      p.cultures.forEach(c => lines.push(`  GROWTH ${formatDigestCulture(c)}`));
+      if (p.inbox.length) lines.push(`  Inbox: ${p.inbox.length} pending (${p.inbox.map(i => i.reason).join(", ")})`);
+    });
+    if (w.quietPatients) lines.push(`${w.quietPatients} other patient(s): nothing new`);
+    lines.push("");
+  });
+  if (digest.unassignedInbox.length) lines.push(`Unassigned Inbox items: ${digest.unassignedInbox.map(i => `${i.patientName || 'Unknown'} (${i.reason})`).join(", ")}`);
+  return lines.join("\n");
+}
+
+function formatDigestHtml(digest, title) {
+  const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const result = r => r.flag === 'critical' ? `<b style="color:#b91c1c">${esc(formatDigestResult(r))}</b>` : r.flag === 'abnormal' ? `<span style="color:#b45309">${esc(formatDigestResult(r))}</span>` : esc(formatDigestResult(r));
+  let html = `<h2 style="font-family:sans-serif">${esc(title)}</h2><p style="font-family:sans-serif;color:#64748b">Since ${esc(new Date(digest.since).toLocaleString())}</p>`;
+  digest.wards.forEach(w => {
+    html += `<h3 style="font-family:sans-serif;border-bottom:1px solid #e2e8f0">${esc(w.ward)}</h3><table style="font-family:sans-serif;font-size:13px;border-collapse:collapse">`;
+    w.patients.forEach(p => {
+      const cells = [
+        ...p.results.map(r => `${esc(r.date)}: ${result(r)}`),
+        ...p.cultures.map(c => `<b style="color:#b91c1c">GROWTH ${esc(formatDigestCulture(c))}</b>`),
+        ...(p.inbox.length ? [`<i>Inbox: ${p.inbox.length} pending</i>`] : [])
+      ];
+      html += `<tr><td style="vertical-align:top;padding:4px 12px 4px 0;font-weight:bold">${esc(p.name)}${p.bed ? ` <span style="color:#64748b">(bed ${esc(p.bed)})</span>` : ''}</td><td style="padding:4px 0">${cells.join('<br>')}</td></tr>`;
+    });
+    html += `</table>${w.quietPatients ? `<p style="font-family:sans-serif;color:#94a3b8;font-size:12px">${w.quietPatients} other patient(s): nothing new</p>` : ''}`;
+  });
+  if (digest.unassignedInbox.length) html += `<p style="font-family:sans-serif"><b>Unassigned Inbox items:</b> ${digest.unassignedInbox.map(i => esc(`${i.patientName || 'Unknown'} (${i.reason})`)).join(", ")}</p>`;
+  return html;
+}
+
+// ==========================================
+// 16. NOTIFICATION ESCALATION & RETENTION
+// ==========================================
+// Every notification carries a severity (info | medium | high), patientId / ward, a link (chart or Inbox item)
+// and an acknowledgement (acknowledgedBy / acknowledgedAt, set from the dashboard). Two scheduled jobs follow up:
+//   escalateCriticalNotifications (every 5 min): high severity, unacknowledged after NOTIFY_ESCALATE_MINUTES
+//     -> marked escalated (dashboard pins it) and emailed to NOTIFY_ESCALATION_RECIPIENTS for its ward, once.
+//   purgeOldNotifications (daily): deletes acknowledged notifications, and info ones (nothing to acknowledge),
+//     older than NOTIFY_RETENTION_DAYS. Unacknowledged medium / high notifications are never purged.
+// Notifications written before these fields existed have no "acknowledged" and are left alone by both jobs.
+const NOTIFICATION_SEVERITY = { AUTO_SAVE: 'info', INBOX: 'medium', CRITICAL: 'high', CULTURE: 'high' }; // Default per type; BILIRUBIN sets its own
+const NOTIFICATION_PURGE_BATCH = 400; // Deletes per run (keeps the daily job inside the execution time limit)
+
+function setupNotificationTriggers() {
+  const jobs = [
+    { handler: 'escalateCriticalNotifications', create: b => b.everyMinutes(5) },
+    { handler: 'purgeOldNotifications', create: b => b.atHour(3).everyDays(1) }
+  ];
+  const triggers = ScriptApp.getProjectTriggers();
+  jobs.forEach(job => {
+    if (triggers.some(t => t.getHandlerFunction() === job.handler)) return;
+    job.create(ScriptApp.newTrigger(job.handler).timeBased()).create();
+    console.log(`🔔 [NOTIFY] ${job.handler} scheduled.`);
+  });
+}
+
+// Trigger handler (every active profile). Returns the number of notifications escalated.
+function escalateCriticalNotifications() {
+  return forEachProfile(() => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - CONFIG.notifications.escalateAfterMinutes * 60000).toISOString();
+    const due = queryNotifications("severity", "==", "high").filter(n => n.acknowledged === false && !n.escalated && n.timestamp <= cutoff);
+    if (due.length === 0) return 0;
+
+    const recipients = CONFIG.notifications.escalationRecipients ? parseWardRecipients(CONFIG.notifications.escalationRecipients) : {};
+    due.forEach(n => {
+      const to = [...new Set([recipients[n.ward], recipients["*"]].filter(Boolean))].join(",");
+      const minutes = Math.round((now - new Date(n.timestamp)) / 60000);
+      if (to) {
+        const subject = `${CONFIG.unitLabel ? `[${CONFIG.unitLabel}] ` : ""}UNACKNOWLEDGED ${n.type}: ${n.patientName}${n.ward ? ` (${n.ward})` : ""}`;
+        const body = `${n.details}\n\nRaised ${new Date(n.timestamp).toLocaleString()} - not acknowledged after ${minutes} minutes.\nAcknowledge it under Updates in the dashboard.`;
+        try { GmailApp.sendEmail(to, subject, body, { name: "NICU Lab Charting" }); } catch (e) { console.error(`[NOTIFY] Failed to email ${to}`, e); }
+      }
+      try {
+        firestore.updateDocument(`${CONFIG.pathNotifications}/${n.id}`, { escalated: true, escalatedAt: now.toISOString(), escalatedTo: to }, true);
+      } catch (e) { console.error(`[NOTIFY] Failed to mark ${n.id} escalated`, e); }
+      console.log(`⏰ [NOTIFY] Escalated ${n.type} for ${n.patientName} (${minutes} min unacknowledged)${to ? ` -> ${to}` : ""}`);
+    });
+    return due.length;
+  }).reduce((sum, n) => sum + n, 0);
+}
+
+// Trigger handler (every active profile). Returns the number of notifications deleted.
+function purgeOldNotifications() {
+  return forEachProfile(() => {
+    const cutoff = new Date(Date.now() - CONFIG.notifications.retentionDays * 86400000).toISOString();
+    const old = queryNotifications("timestamp", "<", cutoff)
+      .filter(n => (n.acknowledged === true && (n.acknowledgedAt || "") < cutoff) || (n.acknowledged === false && n.severity === 'info'))
+      .slice(0, NOTIFICATION_PURGE_BATCH);
+    let deleted = 0;
+    old.forEach(n => {
+      try { firestore.deleteDocument(`${CONFIG.pathNotifications}/${n.id}`); deleted++; } catch (e) { console.error(`[NOTIFY] Failed to delete ${n.id}`, e); }
+    });
+    if (deleted > 0) console.log(`🧹 [NOTIFY] Purged ${deleted} notifications older than ${CONFIG.notifications.retentionDays} days.`);
+    return deleted;
+  }).reduce((sum, n) => sum + n, 0);
+}
+
+function queryNotifications(field, op, value) {
+  try {
+    return firestore.query(CONFIG.pathNotifications).Where(field, op, value).Execute().map(doc => ({ id: doc.name.split('/').pop(), ...unwrapFirestoreFields(doc.fields) }));
+  } catch (e) {
+    console.error(`[NOTIFY] Query on notifications failed`, e);
+    return [];
+  }
+}
+
+// ==========================================
+// 17. ENVIRONMENT PROFILES & UNITS
+// ==========================================
+// A profile: { name, collectionRoot, label, emailQuery, senders, gmailLabels, extraction, digestRecipients, escalationRecipients }
+//   collectionRoot  artifacts/<root>/... for every CONFIG.path* (PROFILE_COLLECTIONS)
+//   label           Gmail label for processed threads (default "Charted"); emailQuery defaults to "has:attachment -label:<label>"
+//   senders / gmailLabels  Route emails to this unit: from any of the senders or carrying any of the labels. One active
+//                   profile may have neither - it gets every email the others don't claim. Two such profiles would read
+//                   the same emails, so only the first is run.
+//   extraction      { provider, model, baseUrl, apiKeyProperty, maxBatchFiles, ... } over the deployment's EXTRACTION_* settings. API keys
+//                   stay in Script Properties (apiKeyProperty names one) - the profile document is readable by the dashboard.
+//   digestRecipients / escalationRecipients  Same format as DIGEST_RECIPIENTS / NOTIFY_ESCALATION_RECIPIENTS
+// Firestore config/unit_profiles: { active: ["nicu", "picu"], profiles: { nicu: {...}, picu: {...} } }
+// (UNIT_PROFILES holds the same "profiles" map as JSON and wins over the document, ACTIVE_PROFILES over "active").
+const PATH_UNIT_PROFILES = 'config/unit_profiles';
+
+function profilePaths(collectionRoot) {
+  const paths = {};
+  Object.entries(PROFILE_COLLECTIONS).forEach(([key, path]) => { paths[key] = `artifacts/${collectionRoot}/${path}`; });
+  return paths;
+}
+
+// Active profiles, in order, each with its Gmail search (query) resolved
+function loadProfiles() {
+  const profiles = JSON.parse(JSON.stringify(BUILT_IN_PROFILES));
+  const merge = defined => Object.entries(defined || {}).forEach(([id, p]) => { profiles[id] = { ...(profiles[id] || {}), ...p }; });
+  let active = null;
+  let stored = null;
+  try {
+    stored = unwrapFirestoreFields(firestore.getDocument(PATH_UNIT_PROFILES).fields);
+    merge(stored.profiles);
+    if (Array.isArray(stored.active) && stored.active.length) active = stored.active;
+  } catch (e) { /* No profile document: built-ins (and Script Properties) only */ }
+  seedBuiltInProfiles(stored);
+
+  const props = PropertiesService.getScriptProperties();
+  const fromProperty = props.getProperty('UNIT_PROFILES');
+  if (fromProperty) {
+    try { merge(JSON.parse(fromProperty)); } catch (e) { console.error("[PROFILE] UNIT_PROFILES is not valid JSON - ignored", e); }
+  }
+  const activeProperty = props.getProperty('ACTIVE_PROFILES');
+  if (activeProperty) active = activeProperty.split(',').map(id => id.trim()).filter(Boolean);
+
+  const units = (active || [DEFAULT_PROFILE_ID]).filter(id => {
+    if (profiles[id] && profiles[id].collectionRoot) return true;
+    console.error(`[PROFILE] Unknown profile "${id}" (or no collectionRoot) - skipped.`);
+    return false;
+  }).map(id => ({ id: id, name: id, label: 'Charted', ...profiles[id] }));
+  return resolveProfileQueries(units);
+}
+
+// Writes the built-in profiles the document lacks (name, collectionRoot, label) - the dashboard lists units from it
+function seedBuiltInProfiles(stored) {
+  const profiles = (stored && stored.profiles) || {};
+  const missing = Object.keys(BUILT_IN_PROFILES).filter(id => !profiles[id] || !profiles[id].collectionRoot);
+  if (missing.length === 0 || DRY_RUN_PLAN) return;
+  const update = { ...profiles };
+  missing.forEach(id => { update[id] = { ...BUILT_IN_PROFILES[id], ...(profiles[id] || {}) }; });
+  try {
+    firestore.updateDocument(PATH_UNIT_PROFILES, { profiles: update }, true);
+    console.log(`[PROFILE] Added the built-in profile(s) ${missing.join(", ")} to ${PATH_UNIT_PROFILES}.`);
+  } catch (e) { console.error("[PROFILE] Failed to write the built-in profiles", e); }
+}
+
+// Each email goes to exactly one unit: routed profiles search their own senders / labels, the catch-all excludes them
+function resolveProfileQueries(units) {
+  const gmailLabel = l => String(l).trim().replace(/[\s\/]+/g, '-');
+  const routeTerms = u => [...(u.senders || []).map(s => `from:${s}`), ...(u.gmailLabels || []).map(l => `label:${gmailLabel(l)}`)];
+  const claimed = units.flatMap(routeTerms);
+  const catchAll = units.find(u => routeTerms(u).length === 0);
+  return units.filter(u => {
+    const base = u.emailQuery || `has:attachment -label:${gmailLabel(u.label)}`;
+    const terms = routeTerms(u);
+    if (terms.length) u.query = `${base} {${terms.join(' ')}}`;
+    else if (u === catchAll) u.query = claimed.length ? `${base} -{${claimed.join(' ')}}` : base;
+    else {
+      console.error(`[PROFILE] "${u.id}" has no senders / gmailLabels and "${catchAll.id}" already takes the unrouted emails - skipped.`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Points CONFIG (paths, Gmail query / label, extraction, recipients) at one profile
+function useProfile(profile, unitCount) {
+  const extraction = { ...DEPLOYMENT_DEFAULTS.extraction, ...(profile.extraction || {}) };
+  if (profile.extraction && profile.extraction.apiKeyProperty) {
+    extraction.apiKey = PropertiesService.getScriptProperties().getProperty(profile.extraction.apiKeyProperty) || "";
+  }
+  delete extraction.apiKeyProperty;
+  Object.assign(CONFIG, profilePaths(profile.collectionRoot), {
+    profile: profile.id,
+    profileName: profile.name,
+    unitLabel: unitCount > 1 ? profile.name : "",
+    collectionRoot: profile.collectionRoot,
+    emailQuery: profile.query,
+    label: profile.label,
+    extraction: extraction
+  });
+  CONFIG.digest.recipients = profile.digestRecipients !== undefined ? profile.digestRecipients : DEPLOYMENT_DEFAULTS.digestRecipients;
+  CONFIG.notifications.escalationRecipients = profile.escalationRecipients !== undefined ? profile.escalationRecipients : DEPLOYMENT_DEFAULTS.escalationRecipients;
+}
+
+// Runs fn(profile) once per active profile with CONFIG switched to it. Returns fn's results in profile order.
+function forEachProfile(fn) {
+  const units = loadProfiles();
+  return units.map(profile => {
+    useProfile(profile, units.length);
+    if (units.length > 1) console.log(`🏥 [PROFILE] ${profile.name} (${profile.collectionRoot})`);
+    return fn(profile);
+  });
+}
+
+// Entry points that serve one unit (doPost, exportPatientFhir): the given profile, else the first active one
+function useProfileById(profileId) {
+  const units = loadProfiles();
+  const profile = profileId ? units.find(u => u.id === profileId) : units[0];
+  if (!profile) throw new Error(`Unknown or inactive profile "${profileId}"`);
+  useProfile(profile, units.length);
+  return profile;
+}
+
+// ==========================================
+// 18. EXTRACTION BATCHING, BACKOFF & RUN METRICS
+// ==========================================
+// Batches are filled in queue order until the next report would pass any of the provider's limits (CONFIG.extraction:
+// files, encoded request bytes, estimated tokens in + out). The file and token limits are scaled by what the last
+// batches showed: halved after a truncated answer, a mostly unusable one or a rate limit, grown back after clean ones.
+// A report too big for one request is sent alone (Gemini: File API upload) or failed with the reason.
+// 429 / 5xx answers are retried with exponential backoff, honouring Retry-After. When the wait would outlast the run,
+// the provider is marked busy until then (cache, shared by the next runs) and every file left is deferred to a later run:
+// Gmail attachments stay 'queued' with their thread unlabeled, dashboard retries go back to 'retry', uploads to 'pending'.
+// Each run that had reports writes one record to public/data/extraction_runs (files, bytes, latency, tokens, cost;
+// "templated" = read by a lab template without the model, section 19).
+const EXTRACTION_TOKEN_ESTIMATES = {
+  pdfPage: 258,       // Gemini bills a PDF page as one 258-token image
+  imagePage: 1290,    // Photo / scan: several 768 px tiles of 258 tokens
+  textPage: 800,      // OCR text of one page (text providers)
+  outputPerPage: 1500, // JSON written back per page (values, identifiers, cultures, evidence for every value)
+  prompt: 2500        // Instructions + parameter template, once per request
+};
+// USD per million tokens [input, output], list prices at the time of writing - EXTRACTION_PRICE_INPUT / _OUTPUT win.
+// Matched by model name prefix (longest first), self-hosted ollama costs nothing.
+const EXTRACTION_PRICES = {
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00]
+};
+const PROVIDER_RETRY_STATUS = [429, 500, 502, 503, 504];
+// attempts: a rate limit (429 / Retry-After); serverAttempts: any other 5xx, which may be the file itself
+const PROVIDER_BACKOFF = { attempts: 5, serverAttempts: 3, baseMs: 2000, maxMs: 60000 };
+const PROVIDER_DOWN_AFTER = 2; // Files in a row that fail alone with a 5xx before the provider counts as down
+const MIN_BATCH_SCALE = 0.25;
+const EXTRACTION_MIN_BATCH_MS = 45000; // Time a batch needs before the first latency of the run is known
+
+let EXTRACTION_RUN = null; // { provider, deadline, scale, truncated, metrics } while processUnitLabReports extracts
+
+function startExtractionRun(provider, deadline, pdfQueue, structuredQueue) {
+  EXTRACTION_RUN = {
+    provider: provider,
+    deadline: deadline,
+    scale: getExtractionState(provider).scale || 1,
+    truncated: false,
+    metrics: {
+      profile: CONFIG.profile,
+      provider: provider.name,
+      model: provider.model,
+      startedAt: new Date().toISOString(),
+      queued: pdfQueue.length,
+      structured: structuredQueue.length,
+      templated: 0, sent: 0, charted: 0, inboxed: 0, failed: 0, deferred: 0,
+      batches: 0, requests: 0, failedRequests: 0, backoffs: 0, backoffMs: 0,
+      bytes: 0, estimatedTokens: 0, inputTokens: 0, outputTokens: 0,
+      latencyMs: 0, maxLatencyMs: 0
+    }
+  };
+  return EXTRACTION_RUN.metrics;
+}
+
+function finishExtractionRun() {
+  if (!EXTRACTION_RUN) return;
+  const run = EXTRACTION_RUN;
+  const m = run.metrics;
+  EXTRACTION_RUN = null;
+  const prices = extractionPrices(run.provider);
+  Object.assign(m, {
+    finishedAt: new Date().toISOString(),
+    elapsedMs: Date.now() - new Date(m.startedAt).getTime(),
+    avgLatencyMs: m.requests > 0 ? Math.round(m.latencyMs / m.requests) : 0,
+    costUsd: prices ? Math.round((m.inputTokens * prices[0] + m.outputTokens * prices[1]) / 1e6 * 10000) / 10000 : null,
+    batchScale: run.scale,
+    busyUntil: run.busyUntil ? new Date(run.busyUntil).toISOString() : ""
+  });
+  if (m.queued === 0 && m.structured === 0) return;
+
+  console.log(`📊 [METRICS] ${m.templated} files by lab template, ${m.sent}/${m.queued} to the model in ${m.batches} batches, ${(m.bytes / 1048576).toFixed(1)} MB, ${m.requests} requests (avg ${m.avgLatencyMs} ms), ${m.inputTokens} + ${m.outputTokens} tokens${m.costUsd !== null ? `, $${m.costUsd}` : ''}, ${m.deferred} deferred.`);
+  if (DRY_RUN_PLAN) { DRY_RUN_PLAN.metrics = m; return; }
+  try {
+    firestore.createDocument(CONFIG.pathExtractionRuns, m);
+  } catch (e) { console.error("[METRICS] Failed to save run metrics", e); }
+}
+
+// Called by every provider after a successful answer
+function recordProviderUsage(inputTokens, outputTokens, truncated) {
+  if (!EXTRACTION_RUN) return;
+  EXTRACTION_RUN.metrics.inputTokens += inputTokens || 0;
+  EXTRACTION_RUN.metrics.outputTokens += outputTokens || 0;
+  if (truncated) {
+    EXTRACTION_RUN.truncated = true;
+    console.warn(`⚠️ [BATCH] Answer was cut off at the output limit.`);
+  }
+}
+
+function recordProviderRequest(latencyMs, ok) {
+  if (!EXTRACTION_RUN) return;
+  const m = EXTRACTION_RUN.metrics;
+  m.requests++;
+  if (!ok) m.failedRequests++;
+  m.latencyMs += latencyMs;
+  m.maxLatencyMs = Math.max(m.maxLatencyMs, latencyMs);
+}
+
+function extractionPrices(provider) {
+  const input = Number(CONFIG.extraction.priceInput), output = Number(CONFIG.extraction.priceOutput);
+  if (isFinite(input) && isFinite(output) && CONFIG.extraction.priceInput !== "" && CONFIG.extraction.priceOutput !== "") return [input, output];
+  if (provider.name === 'ollama') return [0, 0];
+  const key = Object.keys(EXTRACTION_PRICES).sort((a, b) => b.length - a.length).find(k => provider.model.startsWith(k));
+  return key ? EXTRACTION_PRICES[key] : null;
+}
+
+// UrlFetchApp with retries on 429 / 5xx. A rate limit (429, or any answer with Retry-After) gives up with an error
+// carrying retryAt (ms) when the wait would pass the run's deadline (one minute outside a run) or the attempts run out:
+// the provider is busy and the files are deferred. Any other 5xx gives up with a plain error carrying status, so the
+// files sent count a failed attempt (extractBatchWithRetry re-sends them one by one to find the file that causes it).
+function fetchWithBackoff(url, options) {
+  const deadline = EXTRACTION_RUN ? EXTRACTION_RUN.deadline : Date.now() + PROVIDER_BACKOFF.maxMs;
+  for (let attempt = 1; ; attempt++) {
+    const started = Date.now();
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, ...options });
+    const code = response.getResponseCode();
+    recordProviderRequest(Date.now() - started, code < 400);
+    if (!PROVIDER_RETRY_STATUS.includes(code)) return response;
+
+    const rateLimited = code === 429 || !!responseHeader(response, 'Retry-After');
+    const waitMs = retryDelayMs(response, attempt);
+    const outOfTime = Date.now() + waitMs > deadline;
+    if (!rateLimited && (attempt >= PROVIDER_BACKOFF.serverAttempts || outOfTime)) {
+      const err = new Error(`HTTP ${code} after ${attempt} attempt(s): ${response.getContentText().slice(0, 200)}`);
+      err.status = code;
+      throw err;
+    }
+    if (rateLimited && (attempt >= PROVIDER_BACKOFF.attempts || outOfTime)) {
+      const err = new Error(`HTTP ${code} (rate limited) - retry after ${new Date(Date.now() + waitMs).toISOString()}`);
+      err.retryAt = Date.now() + waitMs;
+      markProviderBusy(err.retryAt);
+      throw err;
+    }
+    console.log(`⏳ [BACKOFF] HTTP ${code}, attempt ${attempt}/${PROVIDER_BACKOFF.attempts}. Waiting ${Math.round(waitMs / 1000)} s...`);
+    if (EXTRACTION_RUN) { EXTRACTION_RUN.metrics.backoffs++; EXTRACTION_RUN.metrics.backoffMs += waitMs; }
+    Utilities.sleep(waitMs);
+  }
+}
+
+// Nothing more is sent to the provider until then, in this run or the next ones (getExtractionCooldown)
+function markProviderBusy(until) {
+  if (!EXTRACTION_RUN) return;
+  EXTRACTION_RUN.busyUntil = Math.max(EXTRACTION_RUN.busyUntil || 0, until);
+  saveExtractionState(EXTRACTION_RUN.provider, { busyUntil: EXTRACTION_RUN.busyUntil });
+}
+
+// Retry-After (seconds or HTTP date), else Gemini's RetryInfo ("retryDelay": "12s"), else 2 s, 4 s, 8 s... with jitter
+function retryDelayMs(response, attempt) {
+  const header = responseHeader(response, 'Retry-After');
+  if (header) {
+    const seconds = Number(header);
+    const ms = isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+    if (ms >= 0) return ms;
+  }
+  try {
+    const details = (JSON.parse(response.getContentText()).error || {}).details || [];
+    const info = details.find(d => d && d.retryDelay);
+    if (info) return parseFloat(info.retryDelay) * 1000;
+  } catch (e) { /* Not JSON */ }
+  return Math.min(PROVIDER_BACKOFF.maxMs, PROVIDER_BACKOFF.baseMs * Math.pow(2, attempt - 1)) * (0.75 + Math.random() * 0.5);
+}
+
+// Header names come back in whatever case the server sent
+function responseHeader(response, name) {
+  const headers = response.getAllHeaders ? response.getAllHeaders() : response.getHeaders();
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// --- Provider state shared between runs (script cache, 6 h): batch scale and busy-until ---
+function extractionStateKey(provider) {
+  return `extraction_state_${provider.name}_${provider.model}`;
+}
+
+function getExtractionState(provider) {
+  try { return JSON.parse(CacheService.getScriptCache().get(extractionStateKey(provider))) || {}; }
+  catch (e) { return {}; }
+}
+
+function saveExtractionState(provider, changes) {
+  CacheService.getScriptCache().put(extractionStateKey(provider), JSON.stringify({ ...getExtractionState(provider), ...changes }), 21600);
+}
+
+function getExtractionCooldown(provider) {
+  return Math.max(getExtractionState(provider).busyUntil || 0, (EXTRACTION_RUN && EXTRACTION_RUN.busyUntil) || 0);
+}
+
+// extracted = extractBatchWithRetry's answer, null when the provider stayed busy
+function adaptBatchScale(provider, batch, extracted) {
+  const run = EXTRACTION_RUN;
+  const resent = extracted ? extracted.filter(r => r.resent).length : batch.length;
+  let scale = run.scale;
+  if (!extracted || run.truncated || (batch.length > 1 && resent * 2 >= batch.length)) scale = Math.max(MIN_BATCH_SCALE, scale / 2);
+  else if (resent === 0) scale = Math.min(1, scale * 1.5);
+  run.truncated = false;
+  if (scale === run.scale) return;
+  console.log(`[BATCH] Batch scale ${run.scale.toFixed(2)} -> ${scale.toFixed(2)} (${!extracted ? 'provider busy' : resent > 0 ? `${resent}/${batch.length} files re-sent` : 'clean batch'}).`);
+  run.scale = scale;
+  saveExtractionState(provider, { scale: scale });
+}
+
+// Removes the next batch from the front of queue. The first report is always taken, a report over the request limit alone.
+function takeExtractionBatch(queue, provider) {
+  const scale = EXTRACTION_RUN ? EXTRACTION_RUN.scale : 1;
+  const maxFiles = Math.max(1, Math.floor(provider.limits.files * scale));
+  const maxTokens = provider.limits.tokens * scale;
+  const batch = [];
+  let bytes = 0, tokens = EXTRACTION_TOKEN_ESTIMATES.prompt;
+  while (queue.length > 0) {
+    const item = queue[0];
+    item.size = item.size || estimateExtractionSize(item, provider);
+    item.oversize = provider.inputMode === 'file' && item.size.requestBytes > provider.limits.requestBytes;
+    if (batch.length > 0 && (item.oversize || batch.length >= maxFiles
+      || bytes + item.size.requestBytes > provider.limits.requestBytes || tokens + item.size.tokens > maxTokens)) break;
+    batch.push(queue.shift());
+    bytes += item.size.requestBytes;
+    tokens += item.size.tokens;
+    if (item.oversize) break;
+  }
+  return batch;
+}
+
+// { bytes, requestBytes (base64, file providers), pages, tokens (estimated input + output) } for one queued report
+function estimateExtractionSize(item, provider) {
+  const size = { bytes: 0, requestBytes: 0, pages: 0, tokens: 0 };
+  (item.pages || [item.blob]).forEach(page => {
+    const bytes = page.getBytes().length;
+    const isPdf = reportMimeType(page) === "application/pdf";
+    const pages = isPdf ? countPdfPages(page, bytes) : 1;
+    size.bytes += bytes;
+    size.requestBytes += Math.ceil(bytes / 3) * 4;
+    size.pages += pages;
+    size.tokens += pages * (provider.inputMode === 'text' ? EXTRACTION_TOKEN_ESTIMATES.textPage
+      : isPdf ? EXTRACTION_TOKEN_ESTIMATES.pdfPage : EXTRACTION_TOKEN_ESTIMATES.imagePage);
+  });
+  if (provider.inputMode === 'text') size.requestBytes = 0; // Only the OCR text is sent
+  size.tokens += size.pages * EXTRACTION_TOKEN_ESTIMATES.outputPerPage;
+  return size;
+}
+
+// Page objects in the PDF; compressed object streams hide them, then roughly one page per 200 KB
+function countPdfPages(blob, bytes) {
+  const found = (blob.getDataAsString('ISO-8859-1').match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  return found || Math.max(1, Math.round(bytes / 200000));
+}
+
+// Time a new batch needs: 1.5 x the slowest request of this run
+function extractionTimeReserve() {
+  return Math.max(EXTRACTION_MIN_BATCH_MS, EXTRACTION_RUN ? 1.5 * EXTRACTION_RUN.metrics.maxLatencyMs : 0);
+}
+
+// Hands a queued report back so the next run picks it up again
+function deferQueuedItem(item) {
+  item.deferred = true;
+  if (EXTRACTION_RUN) EXTRACTION_RUN.metrics.deferred++;
+  if (item.ledger && item.ledger.status === 'retry') updateLedgerEntry(item.hash, { status: 'retry' });
+  else if (item.uploadId) updateUpload(item.uploadId, { status: 'pending' });
+  // Gmail attachments stay 'queued' and their thread unlabeled: the next search finds them
+}
+
+// ==========================================
+// 19. LAB REPORT TEMPLATES (KNOWN LAYOUTS, NO MODEL)
+// ==========================================
+// Most PDFs come from a handful of labs with fixed layouts. A template reads those from the PDF's text layer
+// (Drive conversion, see extractReportText) and produces the same result as the model, which then goes through the
+// same validation and routing. The model only sees reports no template claims, or whose template fails
+// (validation errors, a required parameter missing, no collection date, several patients in one file).
+// config/lab_templates: { version, templates: [{
+//   id, name, enabled,
+//   senders:     ["reports@metrolabs.in"]            part of the sender address, any of them (empty = every sender)
+//   fingerprint: ["METRO DIAGNOSTICS", "/Hemogram/i"] all must be in the text (plain text ignores case, /.../ = regex)
+//   fields:      { patientName, uhid, ipNumber, dob, motherName, bed, ward, collectionDate, collectionTime, reportDate }
+//                regex with one capture group each, e.g. "Collected\\s*:\\s*([0-9/]+)"
+//   parameters:  [{ parameter: "Hb", anchor: "Haemoglobin", pattern: "", unit: "g/dL", type: "numeric", staticKey: "", required: true }]
+//                anchor = the first number after that text on its line (or the next line); pattern = regex, group 1 the value,
+//                group 2 (optional) the unit. type "text" takes the rest of the line; staticKey fills staticUpdates instead.
+//                Parts of a compound row (Na, K, Cl, TSB, DSB, PT, INR) get a rule each and are charted together.
+//   forceInbox, samples: [ledger hashes of saved sample reports]
+// }] }
+// Templates are tried on single PDFs only. The dashboard's template editor writes test requests to
+// public/data/template_tests, which the next run (or testLabTemplates() from the editor) answers.
+// The editor takes its field list and sample limit from the document too (fieldNames / maxTestSamples, written
+// by loadLabTemplates from TEMPLATE_FIELDS / TEMPLATE_TEST_MAX_SAMPLES).
+// Template field -> where it goes in the result
+const TEMPLATE_FIELDS = {
+  patientName: [],
+  uhid: ['identifiers', 'uhid'], ipNumber: ['identifiers', 'ipNumber'], dob: ['identifiers', 'dob'],
+  motherName: ['identifiers', 'motherName'], bed: ['identifiers', 'bed'], ward: ['identifiers', 'ward'],
+  collectionDate: ['dates', 'collection'], collectionTime: ['dates', 'collectionTime'], reportDate: ['dates', 'report']
+};
+const TEMPLATE_NUMBER = /[<>≤≥]?\s*-?(?:\d{1,3}(?:,\d{2,3})+(?!\d)|\d+(?:\.\d+)?)/; // 12.5, <0.5, 1,50,000
+const TEMPLATE_TEST_MAX_SAMPLES = 5;
+const TEMPLATE_TEXT_LIMIT = 20000; // Characters of each sample's text kept in a test result (for writing rules)
+
+function loadLabTemplates() {
+  let doc = null;
+  try {
+    doc = unwrapFirestoreFields(firestore.getDocument(CONFIG.pathTemplates).fields);
+  } catch (e) { /* No templates yet: every report goes to the model */ }
+  writeTemplateEditorFields(doc);
+  const templates = ((doc && doc.templates) || []).filter(t => t && t.id && t.enabled !== false);
+  if (templates.length > 0) console.log(`🧾 Loaded ${templates.length} lab template(s) (v${doc.version || 1}).`);
+  return templates;
+}
+
+// What the dashboard's template editor needs from this section, written when it is missing or out of date
+function writeTemplateEditorFields(doc) {
+  const fieldNames = Object.keys(TEMPLATE_FIELDS);
+  if (DRY_RUN_PLAN || (doc && JSON.stringify(doc.fieldNames) === JSON.stringify(fieldNames) && doc.maxTestSamples === TEMPLATE_TEST_MAX_SAMPLES)) return;
+  const update = { fieldNames: fieldNames, maxTestSamples: TEMPLATE_TEST_MAX_SAMPLES };
+  try {
+    if (doc) firestore.updateDocument(CONFIG.pathTemplates, update, true);
+    else firestore.updateDocument(CONFIG.pathTemplates, { version: 0, templates: [], ...update });
+  } catch (e) { console.error("Failed to write the template editor fields", e); }
+}
+
+// Reads every queued single PDF a template claims. Returns the routing outcome of each templated file.
+function readWithLabTemplates(queue, templates, context, deadline) {
+  if (templates.length === 0) return [];
+  const outcomes = [];
+  queue.forEach(item => {
+    if (item.done || Date.now() > deadline) return;
+    const pages = item.pages || [item.blob];
+    if (pages.length !== 1 || reportFormat(pages) !== 'pdf') return;
+    const candidates = templates.filter(t => templateMatchesSender(t, item.sender));
+    if (candidates.length === 0) return; // Don't pay for the text of reports no template could claim
+
+    try {
+      const text = extractReportText(item.blob);
+      for (const template of candidates) {
+        if (!templateMatchesLayout(template, text)) continue;
+        const { labData, errors } = runLabTemplate(template, text, item.filename, context.dictionary);
+        if (!labData) {
+          console.log(`[TEMPLATE] "${template.id}" did not read "${item.filename}" (${errors.join('; ')}). Falling back to the model.`);
+          return;
+        }
+        console.log(`🧾 [TEMPLATE] "${item.filename}" read with "${template.id}" (${Object.keys(labData.values).length} values, no model).`);
+        outcomes.push(routeExtractedFile(item, [labData], [], `template/${template.id}`, context));
+        return;
+      }
+    } catch (e) {
+      console.error(`[TEMPLATE] "${item.filename}": ${e.message}. Falling back to the model.`);
+    }
+  });
+  return outcomes;
+}
+
+function templateMatchesSender(template, sender) {
+  const senders = (template.senders || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  return senders.length === 0 || senders.some(s => String(sender || "").toLowerCase().includes(s));
+}
+
+function templateMatchesLayout(template, text) {
+  const lower = text.toLowerCase();
+  return (template.fingerprint || []).filter(Boolean).every(f => {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(f);
+    return regex ? new RegExp(regex[1], regex[2]).test(text) : lower.includes(String(f).toLowerCase());
+  });
+}
+
+// Template + report text -> { labData, errors } checked like a model result (checkExtractedResult)
+function runLabTemplate(template, text, filename, dictionary) {
+  const raw = applyLabTemplate(template, text, filename, dictionary);
+  if (raw.errors.length > 0) return { labData: null, errors: raw.errors };
+  return checkExtractedResult(raw.result, filename);
+}
+
+// The extraction result a template reads from the text, plus what keeps it from standing in for the model
+function applyLabTemplate(template, text, filename, dictionary) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const result = { filename: filename, pages: "", patientName: "", identifiers: {}, dates: {}, forceInbox: template.forceInbox === true, values: {}, units: {}, evidence: {}, staticUpdates: {}, cultures: [] };
+  const errors = [];
+
+  Object.entries(template.fields || {}).forEach(([field, pattern]) => {
+    if (!pattern || !TEMPLATE_FIELDS[field]) return;
+    let matches;
+    try { matches = [...text.matchAll(new RegExp(pattern, 'gim'))].map(m => (m[1] || "").trim()).filter(Boolean); }
+    catch (e) { errors.push(`fields.${field}: ${e.message}`); return; }
+    if (matches.length === 0) return;
+    if ((field === 'patientName' || field === 'uhid') && new Set(matches.map(m => m.toLowerCase())).size > 1) {
+      errors.push(`Several patients in one file (${field}: ${[...new Set(matches)].join(', ')})`);
+    }
+    let value = matches[0];
+    if (field === 'collectionDate' || field === 'reportDate' || field === 'dob') value = normalizeDateString(value) || value;
+    if (field === 'collectionTime') value = normalizeTimeString(value) || value;
+    const [group, key] = TEMPLATE_FIELDS[field];
+    if (group) result[group][key] = value; else result.patientName = value;
+  });
+
+  (template.parameters || []).forEach(rule => {
+    if (!rule || !rule.parameter) return;
+    let found;
+    try { found = rule.pattern ? readTemplatePattern(text, rule.pattern) : readTemplateAnchor(lines, rule.anchor || rule.parameter, rule.type); }
+    catch (e) { errors.push(`${rule.parameter}: ${e.message}`); return; }
+    if (!found || !found.value) {
+      if (rule.required) errors.push(`${rule.parameter} not found`);
+      return;
+    }
+    const evidence = { confidence: 1, text: found.text.slice(0, 200) }; // Read by rule, not guessed
+    if (rule.staticKey) { result.staticUpdates[rule.staticKey] = found.value; result.evidence[rule.staticKey] = evidence; return; }
+    const number = rule.type === 'text' ? found.value : found.value.replace(/[\s,]/g, ''); // "1,50,000" -> "150000"
+    const unit = rule.unit || found.unit;
+    const compound = Object.keys(COMPOUND_PARAMS).find(label => COMPOUND_PARAMS[label].includes(rule.parameter));
+    if (compound) {
+      // "Na" 135 + "K" 4.5 -> "Na/K/Cl": "sodium 135, potassium 4.5" (labelled, so a missing part stays missing)
+      const part = `${COMPOUND_PART_LABELS[rule.parameter][0]} ${number}${unit ? ` ${unit}` : ""}`;
+      result.values[compound] = result.values[compound] ? `${result.values[compound]}, ${part}` : part;
+      result.evidence[compound] = result.evidence[compound] ? { ...evidence, text: `${result.evidence[compound].text} | ${evidence.text}` } : evidence;
+      return;
+    }
+    const key = resolveParameterName(dictionary, rule.parameter);
+    result.values[key] = number;
+    result.evidence[key] = evidence;
+    if (unit) result.units[key] = unit;
+  });
+
+  if (!result.dates.collection) errors.push("No collection date");
+  if (Object.keys(result.values).length === 0 && Object.keys(result.staticUpdates).length === 0) errors.push("No values found");
+  return { result: result, errors: errors };
+}
+
+// anchor: first number after the anchor text on its line, else at the start of the next line (tables split by the conversion).
+// text = the line(s) it was read from, kept as the value's evidence
+function readTemplateAnchor(lines, anchor, type) {
+  const needle = String(anchor).toLowerCase();
+  for (let i = 0; i < lines.length; i++) {
+    const at = lines[i].toLowerCase().indexOf(needle);
+    if (at < 0) continue;
+    const after = lines[i].slice(at + needle.length).replace(/^[\s:.\-]+/, '');
+    if (type === 'text') return after ? { value: after, text: lines[i] } : (lines[i + 1] ? { value: lines[i + 1], text: `${lines[i]} ${lines[i + 1]}` } : null);
+    const sameLine = after.match(TEMPLATE_NUMBER);
+    if (sameLine) return { value: sameLine[0], text: lines[i] };
+    const nextLine = (lines[i + 1] || "").match(new RegExp(`^${TEMPLATE_NUMBER.source}`));
+    if (nextLine) return { value: nextLine[0], text: `${lines[i]} ${lines[i + 1]}` };
+  }
+  return null;
+}
+
+function readTemplatePattern(text, pattern) {
+  const m = new RegExp(pattern, 'im').exec(text);
+  return m ? { value: (m[1] || "").trim(), unit: (m[2] || "").trim(), text: m[0].trim() } : null;
+}
+
+// --- TEMPLATE TESTS (requested from the dashboard's template editor) ---
+// public/data/template_tests/<id>: { template, samples: [ledger hashes], suggest, status: pending -> done | failed,
+//   results: [{ hash, filename, sender, senderMatch, layoutMatch, labData, errors, unknownParameters, text }], suggestions }
+function testLabTemplates() {
+  return forEachProfile(() => runTemplateTests());
+}
+
+function runTemplateTests() {
+  let pending = [];
+  try {
+    pending = firestore.query(CONFIG.pathTemplateTests).Where("status", "==", "pending").Execute()
+      .map(doc => ({ id: doc.name.split('/').pop(), ...unwrapFirestoreFields(doc.fields) }));
+  } catch (e) {
+    return 0;
+  }
+  if (pending.length === 0) return 0;
+  const dictionary = loadParameterDictionary();
+  pending.forEach(test => {
+    let update;
+    try {
+      update = { status: 'done', ...runTemplateTest(test, dictionary) };
+      console.log(`🧾 [TEMPLATE TEST] "${(test.template || {}).id || test.id}": ${update.results.filter(r => r.labData).length}/${update.results.length} samples read.`);
+    } catch (e) {
+      console.error(`[TEMPLATE TEST] ${test.id} failed`, e);
+      update = { status: 'failed', error: e.message };
+    }
+    try {
+      firestore.updateDocument(`${CONFIG.pathTemplateTests}/${test.id}`, { ...update, finishedAt: new Date().toISOString() }, true);
+    } catch (e) { console.error(`[TEMPLATE TEST] Failed to save ${test.id}`, e); }
+  });
+  return pending.length;
+}
+
+function runTemplateTest(test, dictionary) {
+  const template = test.template || {};
+  const results = (test.samples || []).slice(0, TEMPLATE_TEST_MAX_SAMPLES).map(hash => {
+    const entry = getLedgerEntry(hash);
+    if (!entry) return { hash: hash, errors: ["Sample is not in the attachment ledger"] };
+    try {
+      const blob = loadLedgerSample(entry);
+      const text = extractReportText(blob);
+      const sample = { hash: hash, filename: entry.filename || blob.getName(), sender: entry.sender || "", text: text.slice(0, TEMPLATE_TEXT_LIMIT) };
+      sample.senderMatch = templateMatchesSender(template, entry.sender);
+      sample.layoutMatch = templateMatchesLayout(template, text);
+      const { labData, errors } = runLabTemplate(template, text, sample.filename, dictionary);
+      sample.labData = labData;
+      sample.errors = [
+        ...(sample.senderMatch ? [] : ["Sender does not match (the run would not try this template)"]),
+        ...(sample.layoutMatch ? [] : ["Fingerprint not found in the text"]),
+        ...errors
+      ];
+      sample.unknownParameters = labData ? Object.keys(labData.values).filter(k => !dictionary.byName[k]) : [];
+      return sample;
+    } catch (e) {
+      return { hash: hash, filename: entry.filename || "", errors: [`Could not read the sample: ${e.message}`] };
+    }
+  });
+  const first = results.find(r => r.text);
+  return { results: results, suggestions: test.suggest && first ? suggestTemplateRules(first.text, dictionary) : null };
+}
+
+// The report file of a ledger entry: the dashboard upload, or the attachment in its email
+function loadLedgerSample(entry) {
+  if (entry.uploadId) return loadUploadItem(entry.uploadId, []).pages[0];
+  const pages = findLedgerPages(GmailApp.getMessageById(entry.messageId).getAttachments(), entry);
+  if (!pages) throw new Error("Attachment is no longer in the email");
+  return pages[0];
+}
+
+// A starting point for a new template from one sample's text: the header lines as fingerprint, the usual
+// labels as fields and an anchor rule for every dictionary parameter printed next to a number
+const TEMPLATE_FIELD_LABELS = {
+  patientName: "(?:Patient(?:'s)?\\s*Name|Name)\\s*[:\\-]\\s*(.+?)(?:\\s{2,}|$)",
+  uhid: "(?:UHID|MRN|Reg(?:istration)?\\.?\\s*No\\.?)\\s*[:\\-]\\s*([A-Z0-9\\-\\/]+)",
+  ipNumber: "(?:IP|Admission)\\s*No\\.?\\s*[:\\-]\\s*([A-Z0-9\\-\\/]+)",
+  collectionDate: "(?:Collect(?:ed|ion)|Sample)\\s*(?:Date|On|Time)?\\s*[:\\-]\\s*([0-9]{1,2}[\\-\\/.][0-9A-Za-z]{1,3}[\\-\\/.][0-9]{2,4})",
+  collectionTime: "(?:Collect(?:ed|ion)|Sample)\\s*(?:Date|On)?[^\\n]*?([0-9]{1,2}:[0-9]{2}\\s*(?:AM|PM)?)",
+  reportDate: "Report(?:ed)?\\s*(?:Date|On)?\\s*[:\\-]\\s*([0-9]{1,2}[\\-\\/.][0-9A-Za-z]{1,3}[\\-\\/.][0-9]{2,4})"
+};
+
+function suggestTemplateRules(text, dictionary) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const fields = {};
+  Object.entries(TEMPLATE_FIELD_LABELS).forEach(([field, pattern]) => { if (new RegExp(pattern, 'im').test(text)) fields[field] = pattern; });
+
+  const parameters = [];
+  dictionary.parameters.filter(p => p.category === 'Investigations' && p.routing === 'general').forEach(p => {
+    const names = [p.name, ...(p.aliases || [])].sort((a, b) => b.length - a.length); // "Total Bilirubin" before "Bilirubin"
+    for (const name of names) {
+      const line = lines.find(l => new RegExp(`(^|[^a-z])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`, 'i').test(l));
+      if (!line) continue;
+      const anchor = line.substr(line.toLowerCase().indexOf(name.toLowerCase()), name.length); // As printed
+      if (!readTemplateAnchor(lines, anchor, p.type)) continue;
+      parameters.push({ parameter: p.name, anchor: anchor, pattern: "", unit: "", type: p.type === 'text' ? 'text' : 'numeric', staticKey: "", required: false });
+      break;
+    }
+  });
+  return { fingerprint: lines.slice(0, 2), fields: fields, parameters: parameters };
+}
+
+// ==========================================
+// DEBUG: CHECK AVAILABLE MODELS
+// ==========================================
+function listAvailableModels() {
+  return forEachProfile(() => {
+    const provider = getExtractionProvider();
+    let models;
+    try {
+      models = provider.listModels(provider);
+    } catch (e) {
+      console.error(`API Error (${provider.name}):`, e.message);
+      return;
+    }
+
+    console.log(`--- Available Models for ${CONFIG.profileName} (${provider.name}${provider.baseUrl ? " @ " + provider.baseUrl : ""}) ---`);
+    models.forEach(m => console.log(m));
+
+    if (!models.includes(provider.model)) {
+      console.warn(`⚠️ Configured model "${provider.model}" was not found. Set EXTRACTION_MODEL to one of the models above.`);
+    } else {
+      console.log(`✅ Configured model "${provider.model}" is available.`);
+    }
+    return models;
+  });
+}